@@ -0,0 +1,34 @@
+// Closure tier benchmark
+//
+// Runs a few loops, calls and recursions threaded and then with the closure
+// tier, on a fresh machine each.
+//
+//   node bench/closures.js [rounds]
+const { createForth } = require("../forth00.js");
+
+const rounds = Number(process.argv[2] || 3);
+
+const source = `
+DEF SUM 0 SWAP 0 DO I + LOOP END
+DEF SUMS 0 DO 1000 SUM DROP LOOP END
+DEF COUNTDOWN BEGIN 1 - DUP ZERO? UNTIL DROP END
+DEF FIB DUP 2 < IF EXIT THEN DUP 1 - RECURSE SWAP 2 - RECURSE + END
+`;
+
+const programs = ["5000 SUMS", "1000000 COUNTDOWN", "25 FIB DROP"];
+
+const measure = closures => {
+  const vm = createForth({ closures, write: () => {} });
+  vm.evaluate(source, "bench");
+  return programs.map(program => {
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < rounds; i++) vm.evaluate(program, "bench");
+    return Number(process.hrtime.bigint() - started) / 1e6;
+  });
+};
+
+for (const closures of [false, true]) {
+  const times = measure(closures);
+  const report = programs.map((program, i) => `${program} ${times[i].toFixed(1)} ms`);
+  console.log(`${closures ? "closures" : "threaded"}: ${report.join(", ")}`);
+}
@@ -0,0 +1,26 @@
+// Dictionary lookup benchmark
+//
+// Compiles a few thousand definitions, each calling a handful of earlier ones,
+// once with the hashed index and once walking the wordlists.
+//
+//   node bench/dictionary.js [count]
+const { createForth } = require("../forth00.js");
+
+const count = Number(process.argv[2] || 3000);
+
+let source = "DEF W0 1 END\n";
+for (let i = 1; i < count; i++) {
+  source += `DEF W${i} W${i - 1} W${i >> 1} + W${i >> 2} DROP DUP * DROP 1 END\n`;
+}
+
+const measure = hashed => {
+  const vm = createForth({ hashed, heapSize: 16 * 1024 * 1024, write: () => {} });
+  const started = process.hrtime.bigint();
+  vm.evaluate(source, "bench");
+  return Number(process.hrtime.bigint() - started) / 1e6;
+};
+
+for (const hashed of [true, false]) {
+  const ms = measure(hashed);
+  console.log(`${hashed ? "hashed" : "linear"}: ${count} definitions in ${ms.toFixed(1)} ms`);
+}
@@ -1,36 +1,39 @@
+// Node modules, when there is Node: playground/index.html loads this file as a
+// plain script in the browser
+const node = typeof require === "function" && typeof process === "object";
+const fs = node ? require("fs") : null;
+const readline = node ? require("readline") : null;
+
 // Architecture
 //
-// 32-bit virtual computer with CPU, RAM and two stacks
+// 32-bit virtual computer with CPU, RAM, two stacks and a float stack. Sizes
+// are defaults, every machine created by createForth() may pick its own.
 const CELL = 4;  // 32-bit architecture
+const FLOAT = 8;  // Floats are IEEE doubles
 const HEAP_SIZE = 1024 * 1024 * CELL;  // Size of VM
 const DATA_STACK_SIZE = 128 * CELL;  // Size in bytes of data stack
 const RETURN_STACK_SIZE = 128 * CELL;  // Size in bytes of return stack
-
-// Implement interfaces to communicate with the architecture
-var heap = new ArrayBuffer(HEAP_SIZE);
-var i32 = new Int32Array(heap);
-var u8 = new Uint8Array(heap);
-
-// Data and return stacks live on dedicated "chips" managed by the operating
-// system. In this case--Javascript.
-const ds = [];
-const rs = [];
-
-// These methods may look redundant, but they are not. I am abstracting
-// Javascript semantics and defining a communication protocol/interface for
-// stacks.
-const pushds = v => ds.push(v);
-const popds = () => ds.pop();
-const pushrs = v => rs.push(v);
-const poprs = () => rs.pop();
+const FLOAT_STACK_SIZE = 32 * FLOAT;  // Size in bytes of float stack
 
 // Registers
+const ROOT        = 0x02;  // Searched after the search order, holds FORTH and ONLY
 const FORTH       = 0x04;  // Forth Vocabulary
+const VOC_LINK    = 0x06;  // Last wordlist created
+const ORDER_DEPTH = 0x07;  // Number of wordlists searched after CONTEXT
+const ORDER       = 0x08;  // Those wordlists, 16 cells, the last one searched first
 const CONTEXT     = 0x19;  // Current search vocabulary
 const CURRENT     = 0x1b;  // Current vocabulary
 const LATEST_CELL = 0x1c;  // Last name in dictionary
 const HERE_CELL   = 0x1d;  // Next available cell
 const STATE       = 0x20;  // State of compiler
+const BASE        = 0x21;  // Number conversion radix
+
+const SYSTEM_CELLS = 0x23;  // Registers live below, the dictionary above
+const ORDER_CELLS = 16;
+
+// A wordlist is identified by the index of its cell pair: the latest word in
+// the list, then the link to the wordlist created before it. ROOT and FORTH are
+// the pairs at 0x02 and 0x04, every other one is allotted in the dictionary.
 
 // Interpreter
 //
@@ -41,151 +44,165 @@ const F_DATA      = 0b01000000;  // Data or code opcode
 const F_HIDDEN    = 0b00100000;  // Hidden word
 const F_LENMASK   = 0b00011111;  // Length mask
 
-const aligned = addr => addr + CELL - 1 & ALIGN_MASK;
-const align = () => i32[HERE_CELL] = aligned(i32[HERE_CELL]);
-const i32_comma = val => {
-  i32[i32[HERE_CELL] >> 2] = val;
-  i32[HERE_CELL] += CELL;
-};
-const u8_comma = val => {
-  u8[i32[HERE_CELL]] = val;
-  i32[HERE_CELL] += 1;
-};
-const buf_comma = buf => {
-  for (let char of buf) {
-    u8_comma(char.charCodeAt(0));
-  }
-};
-
-const create = (name, flags) => {
-  // Dictonary structure:
-  // Link pointer | 4 bytes |
-  // Length/flags | 1 byte  |
-  // Name         | n bytes |
-  //              | align   |
-  // Definition   | m bytes |
-  // - codeword (1 cell for DOCOL, 2 cells for DOVAR and DORETURN: TODO needs
-  //   unification) - CFA
-  // - instructions - BODY
-  const latest = i32[LATEST_CELL];
-
-  i32[LATEST_CELL] = i32[HERE_CELL];
-  i32_comma(latest);
-  u8_comma(name.length | flags);
-  buf_comma(name);
-  align();
-};
-
-const table = {};  // Look up table for builtins; put simply, CPU intructions
+// A colon definition with a declared stack effect keeps it in the reserved cell
+// behind DOCOL: EFFECT_DECLARED | cells taken << 8 | cells left
+const EFFECT_DECLARED = 0x10000;
+// The reserved cell of a quotation is marked, so checked mode can tell its
+// start from any other cell that happens to hold DOCOL
+const QUOTATION_START = 0x20000;
 
-const defcode = (name, flags, fn) => {
-  const op = Object.keys(table).length;
-  table[op] = fn;
-  create(name, flags);
-  i32_comma(op);
-};
+const aligned = addr => addr + CELL - 1 & ALIGN_MASK;
 
-const cfa = addr => {
-  const cell = u8[addr + CELL];
-  const len = cell & F_LENMASK;
-  return aligned(addr + 1 + len + CELL);
-};
-
-const find = target => {
-  const n = target.length;
-  for (let it = i32[i32[CONTEXT]]; it > 0; it = i32[it >> 2]) {
-    const cell = u8[it + CELL];
-    const len = cell & F_LENMASK;
-    const is_hidden = cell & F_HIDDEN;
-    const addr = it + CELL + 1;
-    const name = String.fromCharCode(...u8.slice(addr, addr + len));
-    if (target === name && n === len && is_hidden === 0) return it;
-  }
-
-  // not found
-  return -1;
-};
+const TRUE = -1;  // All bits set
+const FALSE = 0;
+const flag = cond => cond ? TRUE : FALSE;
 
 // RAM, unoptimized system block diagram, 48 cells:
 //
-// 0x00 ___                0x10 ___                0x20 STATE
-// 0x01 ___                0x11 ___                0x21 ___
-// 0x02 ___                0x12 ___                0x22 ___
-// 0x03 ___                0x13 ___                0x23 <empty>
-// 0x04 FORTH              0x14 ___                0x24 <empty>
-// 0x05 ___                0x15 ___                0x25 <empty>
-// 0x06 ___                0x16 ___                0x26 <empty>
-// 0x07 ___                0x17 ___                0x27 <empty>
-// 0x08 ___                0x18 ___                0x28 <empty>
-// 0x09 ___                0x19 CONTEXT            0x29 <empty>
-// 0x0A ___                0x1A ___                0x2A <empty>
-// 0x0B ___                0x1B CURRENT            0x2B <empty>
-// 0x0C ___                0x1C ___                0x2C <empty>
-// 0x0D ___                0x1D HERE_CELL          0x2D <empty>
-// 0x0E ___                0x1E LATEST_CELL        0x2E <empty>
-// 0x0F ___                0x1F ___                0x2F <empty>
+// 0x00 ___                0x10 ORDER + 8          0x20 STATE
+// 0x01 ___                0x11 ORDER + 9          0x21 BASE
+// 0x02 ROOT               0x12 ORDER + 10         0x22 ___
+// 0x03 ROOT link          0x13 ORDER + 11         0x23 <empty>
+// 0x04 FORTH              0x14 ORDER + 12         0x24 <empty>
+// 0x05 FORTH link         0x15 ORDER + 13         0x25 <empty>
+// 0x06 VOC_LINK           0x16 ORDER + 14         0x26 <empty>
+// 0x07 ORDER_DEPTH        0x17 ORDER + 15         0x27 <empty>
+// 0x08 ORDER              0x18 ___                0x28 <empty>
+// 0x09 ORDER + 1          0x19 CONTEXT            0x29 <empty>
+// 0x0A ORDER + 2          0x1A ___                0x2A <empty>
+// 0x0B ORDER + 3          0x1B CURRENT            0x2B <empty>
+// 0x0C ORDER + 4          0x1C LATEST_CELL        0x2C <empty>
+// 0x0D ORDER + 5          0x1D HERE_CELL          0x2D <empty>
+// 0x0E ORDER + 6          0x1E ___                0x2E <empty>
+// 0x0F ORDER + 7          0x1F ___                0x2F <empty>
 
 // Interpreter
 //
 const is_delimiter = (char, delimiter) => char === delimiter || char === "\n" || char === undefined;
 
-const pad = word => {
-  const here = i32[HERE_CELL];
-  for (let i = 0; i < word.length; i++) u8[here + i] = word[i].charCodeAt(0);
-  return here;
-};
-
-// Unclear if "HERE" CPU instruction would make it more interesting?
-// const here = () => i32[HERE_CELL];
-
-const parse = delimiter => {
-  // Detect a word by reading from text buffer and return a word, otherwise -1
-  let val = null;
-  let char = null;
-  let word = "";
-
-  // Skip leading delimiters
-  do {
-    val = $buffer.next();
-    if (val.done === false) char = val.value;
-    else return -1;
-  } while (is_delimiter(char, delimiter));
-
-  // Read word until a delimiter
-  do {
-    if (val.done === false) word += char;
-    else return -1;
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const PREFIXES = [["$", 16], ["#", 10], ["%", 2]];
+
+const convert = (word, base) => {
+  // convert a number in the given base, unless a prefix says otherwise:
+  // "$10" -> 16
+  // "%110001" -> 49
+  // "#32" -> 32 in any base
+  // "'a'" -> 97
+  // A minus sign may follow the prefix. Anything that is not a number as a
+  // whole gives NaN, so "12abc" is rejected rather than read as 12.
+  if (word.length === 3 && word[0] === "'" && word[2] === "'") return word.charCodeAt(1);
+
+  let text = word;
+  for (const [prefix, radix] of PREFIXES) {
+    if (text.startsWith(prefix)) {
+      text = text.substring(prefix.length);
+      base = radix;
+      break;
+    }
+  }
 
-    val = $buffer.next();
-    char = val.value;
-  } while (!is_delimiter(char, delimiter));
+  const negative = text.startsWith("-");
+  if (negative) text = text.substring(1);
+  if (text === "") return NaN;
 
-  return word;
+  let n = 0;
+  for (const char of text.toUpperCase()) {
+    const digit = DIGITS.indexOf(char);
+    if (digit < 0 || digit >= base) return NaN;
+    n = n * base + digit | 0;  // wraps around like a cell
+  }
+  return negative ? -n | 0 : n;
 };
 
-const convert = word => {
-  // detect base and convert a number accordingly:
-  // "0x10" -> 16
-  // "0b00110001" -> 49
-  // "32" -> 32
-  // Could be generalized with denotations, and so it would simplify strings
-  if (word.startsWith("0x")) return parseInt(word.substring(2), 16);
-  else if (word.startsWith("0b")) return parseInt(word.substring(2), 2);
-  else return parseInt(word, 10);
+const format = (n, base) => n.toString(base).toUpperCase();
+
+// Float literals need an exponent, as in 1.5e0 or 1E, so that 15 stays a cell.
+// They are only read in decimal.
+const FLOAT_LITERAL = /^[+-]?(\d+\.?\d*|\.\d+)[eE][+-]?\d*$/;
+const convert_float = word => FLOAT_LITERAL.test(word) ? parseFloat(word) : NaN;
+
+// Javascript functions every machine can JS-CALL, name -> [signature, function].
+// The signatures are explained next to register() below.
+const FOREIGN = {
+  "random": ["-- f", Math.random],
+  "now": ["-- f", Date.now],
+  "upper": ["s -- s", text => text.toUpperCase()],
+  "split": ["s s -- s s", (text, separator) => {
+    // at the first separator, the rest is "" without one
+    const at = text.indexOf(separator);
+    return at < 0 ? [text, ""] : [text.slice(0, at), text.slice(at + separator.length)];
+  }],
+  "json": ["s -- h", JSON.parse],
+  "get": ["h s -- h", (object, key) => object[key]],
+  "number": ["h -- f", Number],
+  "string": ["h -- s", String],
 };
 
-// Initialize virtual machine memory
-//
-i32[CURRENT] = FORTH;
-i32[CONTEXT] = FORTH;
+// Data stack effects of the primitives, for the stack-effect checker. The
+// float words only list what they do to the data stack. A primitive that is
+// not here, EXECUTE say, leaves the effect of any word calling it unknown.
+const EFFECTS = {
+  "DROP": "x --", "DUP": "x -- x x", "SWAP": "a b -- b a", "OVER": "a b -- a b a",
+  "=": "a b -- flag", "<": "a b -- flag", ">": "a b -- flag", "U<": "a b -- flag",
+  "0<": "n -- flag", "MIN": "a b -- n", "MAX": "a b -- n",
+  "+": "a b -- n", "-": "a b -- n", "*": "a b -- n", "/": "a b -- n", "MOD": "a b -- n",
+  "/MOD": "a b -- rem quot", "*/": "a b c -- n", "AND": "a b -- x", "OR": "a b -- x",
+  "XOR": "a b -- x", "INVERT": "x -- x", "LSHIFT": "x u -- x", "RSHIFT": "x u -- x",
+  "@": "addr -- x", "!": "x addr --", "C@": "addr -- c", "C!": "c addr --",
+  ">R": "x --", "R>": "-- x", "(DO)": "limit start --", "(?DO)": "limit start -- flag",
+  "(LOOP)": "-- flag", "(+LOOP)": "n -- flag", "I": "-- n", "J": "-- n", "UNLOOP": "--",
+  ">CFA": "header -- xt", "DEPTH": "-- n", "RDEPTH": "-- n", "THROW": "n --",
+  "EMIT": "c --", "PRINT": "n --", ".": "n --", "U.": "u --", ".R": "n width --",
+  "(<#)": "--", "(#)": "u -- u", "#S": "u -- u", "(#>)": "u -- addr len", "HOLD": "c --",
+  "SIGN": "n --", "PICTURING?": "-- flag", "TYPE": "addr len --", "COUNT": "addr -- addr len",
+  "COMPARE": "a1 l1 a2 l2 -- n", "SEARCH": "a1 l1 a2 l2 -- a3 l3 flag",
+  "/STRING": "addr len n -- addr len", "CMOVE": "from to len --", "FILL": "addr len c --",
+  "-TRAILING": "addr len -- addr len", "(S\")": "-- addr len", "(C\")": "-- addr",
+  "(.\")": "--", "(ABORT\")": "flag --", "FIND": "addr len -- xt", "DUMP": "addr len --",
+  ".S": "--", "?COMP": "--", "?PAIRS": "tag expected --", "CHECKED?": "-- flag",
+  "(QUOTATION)": "-- xt", "(END-QUOTATION)": "xt --",
+  "WORDLIST": "-- wid", "ALSO": "--", "PREVIOUS": "--", "ONLY": "--", "FORTH": "--",
+  "DEFINITIONS": "--", "ORDER": "--",
+  "FLIT": "--", "FDUP": "--", "FDROP": "--", "FSWAP": "--", "FOVER": "--", "FDEPTH": "-- n",
+  "F<": "-- flag", "F0=": "-- flag", "F0<": "-- flag", "S>F": "n --", "F>S": "-- n",
+  "F@": "addr --", "F!": "addr --", "F.": "--",
+  "OPEN-FILE": "addr len fam -- fileid ior", "CREATE-FILE": "addr len fam -- fileid ior",
+  "CLOSE-FILE": "fileid -- ior", "DELETE-FILE": "addr len -- ior",
+  "READ-FILE": "addr len fileid -- n ior", "READ-LINE": "addr len fileid -- n flag ior",
+  "WRITE-FILE": "addr len fileid -- ior", "WRITE-LINE": "addr len fileid -- ior",
+  "FILE-SIZE": "fileid -- size ior", "FILE-POSITION": "fileid -- position ior",
+  "REPOSITION-FILE": "position fileid -- ior", "JS-RELEASE": "handle --",
+  "KEY": "-- c", "KEY?": "-- flag", "ACCEPT": "addr len -- n",
+  "PAUSE": "--", "STOP": "--", "WAKE": "task --", "(ACTIVATE)": "task --",
+};
 
-i32[HERE_CELL] = 0x23 * CELL; // This is the first empty slot in system memory
-i32[LATEST_CELL] = 0;
-i32[STATE] = 0; // Be explicit about the interpreter mode
+const parse_effect = text => {
+  // "a b -- c" to { in: 2, out: 1 }, or null for anything but a plain data
+  // stack effect: no "--", alternatives, i*x or ( F: -- r )
+  const words = text.split(/\s+/).filter(word => word !== "");
+  const split = words.indexOf("--");
+  if (split < 0 || words.lastIndexOf("--") !== split) return null;
+  if (words.some(word => word === "|" || /^[ijk]\*x$/.test(word) || word.endsWith(":"))) return null;
+  const effect = { in: split, out: words.length - split - 1 };
+  return effect.in < 256 && effect.out < 256 ? effect : null;
+};
 
-// Initialize built-in words and Forth virtual machine
-//
-const next1 = (np) => [i32[np >> 2], np + CELL];
+const effect_text = effect => `( ${"x ".repeat(effect.in)}-- ${"x ".repeat(effect.out)})`;
+
+const read_stdin = (wait = true) => {
+  // Block until the console has something for KEY or ACCEPT, "" at the end.
+  // There is no asking stdin whether input is there without waiting for it.
+  if (!node || !wait) return "";
+  const buffer = Buffer.alloc(4096);
+  try {
+    const n = fs.readSync(0, buffer, 0, buffer.length, null);
+    return buffer.toString("latin1", 0, n);
+  } catch (e) {
+    if (e.code === "EOF" || e.code === "EAGAIN") return "";
+    throw e;
+  }
+};
 
 // DOCOL and DOVAR are special code words, not a subroutine. They execute
 // operation and continue, rather than execute a jump. 0 means that DOCOL must
@@ -197,339 +214,3308 @@ const OP_DOCOL = 0;
 const OP_DOVAR = 1;
 const OP_DORETURN = 2;
 
-defcode("DOCOL", 0, (ip, np) => {
-  pushrs(np);
-  return next1(ip + 2 * CELL);  // OP_DOCOL + reserved cell
-});
-
-defcode("DOVAR", F_HIDDEN, (ip, np) => {
-  pushds(ip + 2 * CELL);
-  return next1(np);
-});
-defcode("DORETURN", F_HIDDEN, (ip, np) => {
-  pushds(ip + 2 * CELL);
-  pushrs(np);
-  return next1(i32[(ip + CELL) >> 2]);
-});
-defcode("CREATE", 0, (ip, np) => {
-  const word = parse(" "); // white-space delimited words
-  create(word, 0);
-  i32_comma(OP_DOVAR); // execution semantics: push address onto data
-  // stack
-  i32_comma(0); // empty cell, could be overrided by DORETURN
-  i32[i32[CURRENT]] = i32[LATEST_CELL];
-  return next1(np);
-});
-defcode("DEF", 0, (ip, np) => {
-  const word = parse(" "); // white-space delimited words
-  create(word, 0);
-  i32_comma(OP_DOCOL);     // execution semantics: jump
-  i32_comma(0);            // reserved cell for consistency
-  i32[STATE] = 1;
-  return next1(np);
-});
-defcode("RETURN", 0, (ip, np) => {
-  // replaces the execution semantics of the most recent definition (hence the
-  // behavior is undefined if executed outside of CREATE) with the execution
-  // semantics from RETURN and returns the execution
-  if (rs.length === 0) throw new Error("RETURN is compile/colon-only (return stack empty)");
-
-  const latest = i32[LATEST_CELL]
-  if (latest === 0) throw new Error("RETURN with no latest word");
-
-  const xt = cfa(latest);
-  const cw = i32[xt >> 2];
-
-  if (cw !== OP_DOVAR) {
-    throw new Error("RETURN expects latest word to be CREATEd (codeword != DOVAR)");
+// The machine halts on a negative ip. BYE ends the session for good, while
+// running out of input only pauses the outer interpreter until more source
+// arrives.
+const HALT_BYE = -1;
+const HALT_INPUT = -2;
+const HALT_BREAK = -3;  // Stopped at a breakpoint or after a debugger step
+
+// Exceptions
+//
+// THROW codes follow ANS Forth: negative codes belong to the system, and
+// anything a Javascript primitive throws surfaces as THROW_HOST.
+const THROW_ABORT = -1;
+const THROW_ABORTQ = -2;
+const THROW_STACK_OVERFLOW = -3;
+const THROW_STACK_UNDERFLOW = -4;
+const THROW_RSTACK_OVERFLOW = -5;
+const THROW_RSTACK_UNDERFLOW = -6;
+const THROW_INVALID_ADDRESS = -9;
+const THROW_DIVISION_BY_ZERO = -10;
+const THROW_UNDEFINED = -13;
+const THROW_COMPILE_ONLY = -14;
+const THROW_STRING_OVERFLOW = -18;
+const THROW_UNSUPPORTED = -21;
+const THROW_CONTROL_MISMATCH = -22;
+const THROW_ALIGNMENT = -23;
+const THROW_RSTACK_IMBALANCE = -25;
+const THROW_FILE_IO = -37;
+const THROW_NO_FILE = -38;
+const THROW_FSTACK_OVERFLOW = -44;
+const THROW_FSTACK_UNDERFLOW = -45;
+const THROW_ORDER_OVERFLOW = -49;
+const THROW_ORDER_UNDERFLOW = -50;
+const THROW_HOST = -256;
+
+const THROW_MESSAGES = {
+  [THROW_ABORT]: "Aborted",
+  [THROW_ABORTQ]: "Aborted",
+  [THROW_STACK_OVERFLOW]: "Stack overflow",
+  [THROW_STACK_UNDERFLOW]: "Stack underflow",
+  [THROW_RSTACK_OVERFLOW]: "Return stack overflow",
+  [THROW_RSTACK_UNDERFLOW]: "Return stack underflow",
+  [THROW_INVALID_ADDRESS]: "Invalid memory address",
+  [THROW_DIVISION_BY_ZERO]: "Division by zero",
+  [THROW_UNDEFINED]: "Undefined word",
+  [THROW_COMPILE_ONLY]: "Interpreting a compile-only word",
+  [THROW_STRING_OVERFLOW]: "Parsed string overflow",
+  [THROW_UNSUPPORTED]: "Unsupported operation",
+  [THROW_CONTROL_MISMATCH]: "Control structure mismatch",
+  [THROW_ALIGNMENT]: "Address alignment exception",
+  [THROW_RSTACK_IMBALANCE]: "Return stack imbalance",
+  [THROW_FILE_IO]: "File I/O exception",
+  [THROW_NO_FILE]: "Non-existent file",
+  [THROW_FSTACK_OVERFLOW]: "Floating-point stack overflow",
+  [THROW_FSTACK_UNDERFLOW]: "Floating-point stack underflow",
+  [THROW_ORDER_OVERFLOW]: "Search-order overflow",
+  [THROW_ORDER_UNDERFLOW]: "Search-order underflow",
+  [THROW_HOST]: "Host error",
+};
+
+// Images
+//
+// A dictionary image is the used part of the heap prefixed by a small header:
+//
+// Magic       | 4 bytes | "FIMG"
+// Version     | 4 bytes | IMAGE_VERSION
+// Meta length | 4 bytes |
+// Meta        | n bytes | JSON: cell size, primitive names by opcode and JS
+//             |         | function names by index
+// Heap        | m bytes | from address 0 up to HERE
+//
+// The heap starts with the system registers, so HERE_CELL, LATEST_CELL,
+// CURRENT, CONTEXT and STATE travel with it.
+const IMAGE_MAGIC = "FIMG";
+const IMAGE_VERSION = 1;
+
+class ForthError extends Error {
+  constructor(code, message = THROW_MESSAGES[code] || `Uncaught THROW ${code}`) {
+    super(message);
+    this.code = code;
   }
+}
+
+const node_fs = (code, name) => {
+  // The default file options throw code without Node, in the browser say
+  if (fs === null) throw new ForthError(code, `No file system for ${name}`);
+  return fs;
+};
+
+const typed = text => () => {
+  // Console input for read: text once, then nothing
+  const chunk = text;
+  text = "";
+  return chunk;
+};
 
-  i32[xt >> 2] = OP_DORETURN;
-  i32[(xt + CELL) >> 2] = np;
-  return next1(poprs());
-});
-defcode("END", F_IMMEDIATE, (ip, np) => {
-  i32_comma(cfa(find("EXIT")));
-  i32[STATE] = 0;
-  i32[i32[CURRENT]] = i32[LATEST_CELL];
-  return next1(np);
-});
-defcode("IMMEDIATE", F_IMMEDIATE, (ip, np) => {
-  // mark latest word in the current context immediate
-  const flags = i32[i32[CURRENT]] + CELL;
-  u8[flags] = u8[flags] | F_IMMEDIATE;
-
-  return next1(np);
-});
-defcode("DUMP", 0, (ip, np) => {
-  const len = popds();
-  const start = popds();
-
-  let result = "";
-  let asciiPart = "";
-
-  for (let i = start; i < start + len; i++) {
-    if ((i - start) % 16 === 0) {
-      result += asciiPart;
-      asciiPart = "";
-      if (i - start > 0) result += "\n";
-      result += `A${i.toString(16).padStart(5, "0").toUpperCase()}: `;
-    } else if ((i - start) % 8 === 0) result += "- ";
-    else if ((i - start) % 4 === 0) result += " ";
-
-    const val = u8[i];
-    result += `${val.toString(16).padStart(2, "0")} `;
-
-    if (val > 31 && val < 127) asciiPart += String.fromCharCode(val);
-    else asciiPart += ".";
-
-    if ((i - start) % 16 === 15) asciiPart += "  ";
+const memory_fs = () => {
+  // The part of the synchronous fs API the file words use, on files kept in
+  // memory: name -> bytes
+  const files = new Map();
+  const open = new Map();  // fd -> name
+  let fds = 0;
+  const fail = (code, what) => Object.assign(new Error(`${code}: ${what}`), { code });
+  const bytes_of = fd => {
+    if (!files.has(open.get(fd))) throw fail("EBADF", `bad file descriptor ${fd}`);
+    return files.get(open.get(fd));
+  };
+  return {
+    openSync: (name, flags) => {
+      if (flags === "w+") files.set(name, new Uint8Array(0));
+      if (!files.has(name)) throw fail("ENOENT", `no such file ${name}`);
+      open.set(fds += 1, name);
+      return fds;
+    },
+    closeSync: fd => {
+      bytes_of(fd);
+      open.delete(fd);
+    },
+    unlinkSync: name => {
+      if (!files.delete(name)) throw fail("ENOENT", `no such file ${name}`);
+    },
+    readSync: (fd, buffer, offset, length, position) => {
+      const bytes = bytes_of(fd).subarray(position, position + length);
+      buffer.set(bytes, offset);
+      return bytes.length;
+    },
+    writeSync: (fd, buffer, offset, length, position) => {
+      const old = bytes_of(fd);
+      const bytes = new Uint8Array(Math.max(old.length, position + length));
+      bytes.set(old);
+      bytes.set(buffer.subarray(offset, offset + length), position);
+      files.set(open.get(fd), bytes);
+      return length;
+    },
+    fstatSync: fd => ({ size: bytes_of(fd).length }),
+  };
+};
+
+// Machine
+//
+// Each call to createForth() builds an independent machine: its own heap,
+// stacks, primitive table and input sources. Nothing is shared between
+// instances but the constants above and the boot prelude text.
+const createForth = ({
+  heapSize = HEAP_SIZE,
+  dataStackSize = DATA_STACK_SIZE,
+  returnStackSize = RETURN_STACK_SIZE,
+  floatStackSize = FLOAT_STACK_SIZE,
+  prelude = boot,  // Forth source to bootstrap with, or null for a bare machine
+  write = text => process.stdout.write(text),  // Sink for EMIT, PRINT and DUMP
+  readFile = name => node_fs(THROW_NO_FILE, name).readFileSync(name, "utf8"),  // Source for INCLUDE
+  readImage = name => node_fs(THROW_NO_FILE, name).readFileSync(name),  // Bytes for LOAD-IMAGE
+  writeImage = (name, bytes) => node_fs(THROW_FILE_IO, name).writeFileSync(name, bytes),  // For SAVE-IMAGE
+  error = text => process.stderr.write(text),  // Sink for uncaught THROWs
+  read = read_stdin,  // Console input for KEY and ACCEPT, "" once it runs out;
+                     // read(false) is for KEY? and returns "" rather than wait
+  fileSystem = fs,  // Synchronous fs API behind the file words, null for none
+  checked = false,  // Validate addresses in @ ! C@ C! and EXECUTE
+  foreign = {},  // More functions for JS-CALL, name -> [signature, function]
+  hashed = true,  // Look words up through the index rather than the lists
+  closures = false,  // Run colon definitions as compiled Javascript closures
+} = {}) => {
+  // The sizes bound the heap and stacks, so a size that is not a whole number
+  // of cells would quietly round to a different limit
+  const sizes = { heapSize, dataStackSize, returnStackSize, floatStackSize };
+  for (const [option, size] of Object.entries(sizes)) {
+    const unit = option === "dataStackSize" || option === "returnStackSize" ? CELL : FLOAT;
+    if (!(size > 0 && size % unit === 0)) throw new Error(`${option} must be a positive multiple of ${unit}`);
   }
 
-  console.log(result + asciiPart);
-
-  return next1(np);
-});
-defcode("LIT", 0, (ip, np) => {
-  pushds(i32[np >> 2]);
-  return next1(np + CELL);
-});
-defcode("EXIT", 0, (ip, np) => next1(poprs()));
-defcode("BYE", 0, (ip, np) => [-1, np]);
-defcode("PARSE", 0, (ip, np) => {
-  // ( delimeter -- addr length )
-  const delim = String.fromCharCode(popds());
-  const word = parse(delim);
-  const addr = pad(word);
-  pushds(addr);
-  pushds(word.length);
-  return next1(np);
-});
-defcode("FIND", 0, (ip, np) => {
-  // ( addr length -- cfa )
-  const len = popds();
-  const addr = popds();
-  const word = String.fromCharCode(...u8.slice(addr, addr + len));
-  pushds(cfa(find(word)));
-  return next1(np);
-});
-defcode("EXECUTE", 0, (ip, np) => {
-  return [popds(), np];
-});
-defcode(">CFA", 0, (ip, np) => {
-  pushds(cfa(popds()));
-  return next1(np);
-});
-defcode("DROP", 0, (ip, np) => {
-  popds();
-  return next1(np);
-});
-defcode("OVER", 0, (ip, np) => {
-  const a = popds();
-  const b = popds();
-  pushds(b);
-  pushds(a);
-  pushds(b);
-  return next1(np);
-});
-defcode("SWAP", 0, (ip, np) => {
-  const a = popds();
-  const b = popds();
-  pushds(a);
-  pushds(b);
-  return next1(np);
-});
-defcode("DUP", 0, (ip, np) => {
-  const a = popds();
-  pushds(a);
-  pushds(a);
-  return next1(np);
-});
-defcode("BRANCH", 0, (ip, np) => next1(i32[np >> 2]));
-defcode("0BRANCH", 0, (ip, np) => {
-  const val = popds();
-  if (val === false || val === 0) return next1(i32[np >> 2]);
-  else return next1(np + CELL);
-});
-defcode("=", 0, (ip, np) => {
-  pushds(popds() === popds());
-  return next1(np);
-});
-defcode("0<", 0, (ip, np) => {
-  pushds(popds() < 0);
-  return next1(np);
-});
-defcode("+", 0, (ip, np) => {
-  pushds(popds() + popds());
-  return next1(np);
-});
-defcode("-", 0, (ip, np) => {
-  const n = popds();
-  pushds(popds() - n);
-  return next1(np);
-});
-defcode("*", 0, (ip, np) => {
-  pushds(popds() * popds());
-  return next1(np);
-});
-defcode("/", 0, (ip, np) => {
-  pushds(popds() / popds());
-  return next1(np);
-});
-defcode("EMIT", 0, (ip, np) => {
-  process.stdout.write(String.fromCodePoint(popds()));
-  return next1(np);
-});
-defcode("PRINT", 0, (ip, np) => {
-  process.stdout.write(String(popds()));
-  return next1(np);
-});
-defcode("@", 0, (ip, np) => {
-  pushds(i32[popds() >> 2]);
-  return next1(np);
-});
-defcode("!", 0, (ip, np) => {
-  i32[popds() >> 2] = popds();
-  return next1(np);
-});
-defcode("C@", 0, (ip, np) => {
-  pushds(u8[popds()]);
-  return next1(np);
-});
-defcode("C!", 0, (ip, np) => {
-  u8[popds()] = popds();
-  return next1(np);
-});
-defcode(">R", 0, (ip, np) => {
-  pushrs(popds());
-  return next1(np);
-});
-defcode("R>", 0, (ip, np) => {
-  pushds(poprs());
-  return next1(np);
-});
-defcode("EVALUATE", 0, (ip, np) => {
-  // Algorithm:
-  // 1) Read in a space delimited Forth WORD from text buffer.
-  // 2) Is this WORD in the dictionary?
-  //    FOUND)          Are we in COMPILE mode and reading NOT IMMEDIATE WORD?
-  //                    YES) Compile WORD into the dictionary.
-  //                    NO)  Push CFA onto data stack
-  //    NOT-FOUND)      Is this actually a number?
-  //                    YES) Are we in IMMEDIATE mode?
-  //                         IMMEDIATE-MODE) Push number onto the stack.
-  //                         COMPILE-MODE)   Compile a literal number.
-  //                    NO)  Error! Handle error
-
-  const word = parse(" ");
-
-  // find(word) could return cfa, but then I need >FLAGS method to identify
-  // whether a word is IMMEDIATE or not. Ironically, FIND word returns CFA.
-  const addr = find(word);
-  if (addr > 0) {
-    const is_immediate = u8[addr + CELL] & F_IMMEDIATE;
-    const is_compiling = i32[STATE];
-    // compile a word
-    if (is_compiling !== 0 && is_immediate === 0) i32_comma(cfa(addr));
-    // execute a word (aka jump to word's cfa)
-    else return [cfa(addr), np];
-  } else {
-    const number = convert(word);
-    if (!isNaN(number)) {
+  // Implement interfaces to communicate with the architecture
+  const heap = new ArrayBuffer(heapSize);
+  const i32 = new Int32Array(heap);
+  const u8 = new Uint8Array(heap);
+  const f64 = new Float64Array(heap);
+
+  // Data and return stacks live on dedicated "chips" managed by the operating
+  // system. In this case--Javascript. The chips hold a fixed number of cells.
+  // Every task has its own pair, a task switch swaps them.
+  let ds = [];
+  let rs = [];
+  const ds_cells = dataStackSize / CELL;
+  const rs_cells = returnStackSize / CELL;
+
+  // Floats get a stack of their own, so a double never lands in a cell
+  let fstack = [];
+  const fs_floats = floatStackSize / FLOAT;
+
+  // These methods may look redundant, but they are not. I am abstracting
+  // Javascript semantics and defining a communication protocol/interface for
+  // stacks.
+  const pushds = v => {
+    if (ds.length >= ds_cells) throw new ForthError(THROW_STACK_OVERFLOW);
+    ds.push(v);
+  };
+  const popds = () => {
+    if (ds.length === 0) throw new ForthError(THROW_STACK_UNDERFLOW);
+    return ds.pop();
+  };
+  const pushrs = v => {
+    if (rs.length >= rs_cells) throw new ForthError(THROW_RSTACK_OVERFLOW);
+    rs.push(v);
+  };
+  const poprs = () => {
+    if (rs.length === 0) throw new ForthError(THROW_RSTACK_UNDERFLOW);
+    return rs.pop();
+  };
+  const pushfs = r => {
+    if (fstack.length >= fs_floats) throw new ForthError(THROW_FSTACK_OVERFLOW);
+    fstack.push(r);
+  };
+  const popfs = () => {
+    if (fstack.length === 0) throw new ForthError(THROW_FSTACK_UNDERFLOW);
+    return fstack.pop();
+  };
+
+  // Exception frames pushed by CATCH: the stack depths to restore, the locals
+  // frame and where to continue when the guarded word THROWs.
+  let handlers = [];
+
+  // Index of the innermost locals frame on the return stack, -1 for none, and
+  // the locals of the definition being compiled
+  let lp = -1;
+  let locals = null;
+
+  // State of the closure tier, see compile_body(). Stores into compiled code
+  // go through touch(), the comma helpers below included.
+  const MAX_NESTING = 256;  // compiled calls on the Javascript stack at most
+  const LEFT = -1;  // a body handed over to run(), which goes on with `leave`
+  const EXITED = -2;  // a body returned to `exit_np`
+
+  const bodies = new Map();  // xt -> compiled body, false if it can not be
+  const resume_at = new Map();  // instruction address -> compiled body
+  const code_cells = new Uint8Array(heapSize / CELL);  // 1 for compiled cells
+  let code_low = heapSize;
+  let code_high = 0;
+  let generation = 0;  // bodies of an older generation have been thrown away
+  let tier = closures;  // compiled code may run
+  let stepping = false;
+  let nesting = 0;
+  let leave = null;
+  let exit_np = 0;
+  let fault_xt = -1;  // the instruction a compiled body threw at
+
+  const retier = () => {
+    tier = closures && !tracing && breakpoints.size === 0 && !stepping;
+  };
+
+  const discard = () => {
+    bodies.clear();
+    resume_at.clear();
+    code_cells.fill(0, code_low >> 2, code_high >> 2);
+    code_low = heapSize;
+    code_high = 0;
+    generation += 1;
+  };
+
+  const touch = (addr, size) => {
+    if (addr >= code_high || addr + size <= code_low) return;
+    for (let cell = addr >> 2; cell <= (addr + size - 1) >> 2; cell++) {
+      if (code_cells[cell] !== 0) return discard();
+    }
+  };
+
+  // The unit test in progress: data stack depth at T{ and results saved by ->
+  let test = null;
+
+  const align = () => i32[HERE_CELL] = aligned(i32[HERE_CELL]);
+  const i32_comma = val => {
+    touch(i32[HERE_CELL], CELL);
+    i32[i32[HERE_CELL] >> 2] = val;
+    i32[HERE_CELL] += CELL;
+  };
+  const u8_comma = val => {
+    touch(i32[HERE_CELL], 1);
+    u8[i32[HERE_CELL]] = val;
+    i32[HERE_CELL] += 1;
+  };
+  const buf_comma = buf => {
+    for (let char of buf) {
+      u8_comma(char.charCodeAt(0));
+    }
+  };
+  const string_comma = text => {
+    // counted string: length byte, characters, padding up to the next cell
+    if (text.length > 255) throw new ForthError(THROW_STRING_OVERFLOW);
+    u8_comma(text.length);
+    buf_comma(text);
+    align();
+  };
+
+  const string_at = (addr, len) => String.fromCharCode(...u8.slice(addr, addr + len));
+
+  const create = (name, flags) => {
+    // Dictonary structure:
+    // Link pointer | 4 bytes |
+    // Length/flags | 1 byte  |
+    // Name         | n bytes |
+    //              | align   |
+    // Definition   | m bytes |
+    // - codeword (1 cell for DOCOL, 2 cells for DOVAR and DORETURN: TODO needs
+    //   unification) - CFA
+    // - instructions - BODY
+    //
+    // The link points to the previous word of the CURRENT wordlist, while
+    // LATEST_CELL always holds the newest header, linked in yet or not.
+    const latest = i32[i32[CURRENT]];
+
+    i32[LATEST_CELL] = i32[HERE_CELL];
+    i32_comma(latest);
+    u8_comma(name.length | flags);
+    buf_comma(name);
+    align();
+  };
+
+  const table = {};  // Look up table for builtins; put simply, CPU intructions
+  const opnames = [];  // Word names by opcode, images are checked against them
+
+  const effects = {};  // Data stack effects by opcode, from EFFECTS
+
+  // Code fields of the primitives by name. The compiler lays them down from
+  // here, so neither the search order nor a redefinition can change them.
+  const primitives = new Map();
+
+  const defcode = (name, flags, fn, effect = EFFECTS[name]) => {
+    const op = Object.keys(table).length;
+    table[op] = fn;
+    opnames[op] = name;
+    if (effect !== undefined) effects[op] = parse_effect(effect);
+    create(name, flags);
+    if (!primitives.has(name)) primitives.set(name, i32[HERE_CELL]);
+    i32_comma(op);
+    link();
+  };
+
+  // Most primitives only work the stacks and memory and go on with the next
+  // instruction. Defined this way, the closure tier can call them without
+  // building an [ip, np] pair for every one.
+  const straight = {};
+  const defstraight = (name, fn) => {
+    straight[Object.keys(table).length] = fn;
+    defcode(name, 0, (ip, np) => {
+      fn();
+      return next1(np);
+    });
+  };
+
+  const cfa = addr => {
+    const cell = u8[addr + CELL];
+    const len = cell & F_LENMASK;
+    return aligned(addr + 1 + len + CELL);
+  };
+
+  // Dictionary index
+  //
+  // The wordlists themselves stay linked lists in the heap, but lookup goes
+  // through a side index: per wordlist, every name maps to its headers, oldest
+  // first. link() keeps it in sync as words are linked in, and a loaded image
+  // rebuilds it. A header only counts while it is not newer than the head of
+  // its wordlist and not hidden, just like for a walk down the list, so the
+  // newest visible definition wins either way.
+  const index = new Map();  // wid -> name -> [header]
+
+  const header_name = header => string_at(header + CELL + 1, u8[header + CELL] & F_LENMASK);
+
+  const index_add = (wid, header) => {
+    if (!index.has(wid)) index.set(wid, new Map());
+    const names = index.get(wid);
+    const name = header_name(header);
+    if (!names.has(name)) names.set(name, []);
+    names.get(name).push(header);
+  };
+
+  const reindex = () => {
+    index.clear();
+    for (let wid = i32[VOC_LINK]; wid > 0; wid = i32[wid + 1]) {
+      const chain = [];
+      for (let it = i32[wid]; it > 0; it = i32[it >> 2]) chain.push(it);
+      for (let i = chain.length - 1; i >= 0; i--) index_add(wid, chain[i]);
+    }
+  };
+
+  const link = () => {
+    // Make the latest word visible in the CURRENT wordlist
+    const wid = i32[CURRENT];
+    i32[wid] = i32[LATEST_CELL];
+    index_add(wid, i32[LATEST_CELL]);
+  };
+
+  const find_in = (target, wid) => {
+    if (!hashed) return scan_in(target, wid);
+
+    const headers = index.has(wid) ? index.get(wid).get(target) : undefined;
+    if (headers === undefined) return -1;
+
+    for (let i = headers.length - 1; i >= 0; i--) {
+      const it = headers[i];
+      if (it <= i32[wid] && (u8[it + CELL] & F_HIDDEN) === 0) return it;
+    }
+    return -1;
+  };
+
+  const scan_in = (target, wid) => {
+    // The plain walk down a wordlist, kept for comparison
+    const n = target.length;
+    for (let it = i32[wid]; it > 0; it = i32[it >> 2]) {
+      const cell = u8[it + CELL];
+      const len = cell & F_LENMASK;
+      const is_hidden = cell & F_HIDDEN;
+      const addr = it + CELL + 1;
+      const name = String.fromCharCode(...u8.slice(addr, addr + len));
+      if (target === name && n === len && is_hidden === 0) return it;
+    }
+
+    // not found
+    return -1;
+  };
+
+  const find = target => {
+    // Search CONTEXT first, then the rest of the search order, then ROOT
+    let it = find_in(target, i32[CONTEXT]);
+    for (let i = i32[ORDER_DEPTH] - 1; it < 0 && i >= 0; i--) it = find_in(target, i32[ORDER + i]);
+    return it < 0 ? find_in(target, ROOT) : it;
+  };
+
+  // Prelude words the compiler, SEE and the stack effects know by their code
+  // field. They are looked up in FORTH the first time, so the search order can
+  // not hide or shadow them; -1 while the prelude has not defined them yet.
+  const prelude_words = new Map();
+  const prelude_xt = name => {
+    if (!prelude_words.has(name)) {
+      const header = find_in(name, FORTH);
+      if (header < 0) return -1;
+      prelude_words.set(name, cfa(header));
+    }
+    return prelude_words.get(name);
+  };
+
+  const wordlist = () => {
+    // Allot a wordlist and link it into the list of all wordlists
+    align();
+    const wid = i32[HERE_CELL] >> 2;
+    i32_comma(0);
+    i32_comma(i32[VOC_LINK]);
+    i32[VOC_LINK] = wid;
+    return wid;
+  };
+
+  const headers = function* () {
+    // Every header: the newest one, which may not be linked in yet, then each
+    // wordlist from its latest word down
+    yield i32[LATEST_CELL];
+    for (let wid = i32[VOC_LINK]; wid > 0; wid = i32[wid + 1]) {
+      for (let it = i32[wid]; it > 0; it = i32[it >> 2]) yield it;
+    }
+  };
+
+  const dump = (start, len) => {
+    let result = "";
+    let asciiPart = "";
+
+    for (let i = start; i < start + len; i++) {
+      if ((i - start) % 16 === 0) {
+        result += asciiPart;
+        asciiPart = "";
+        if (i - start > 0) result += "\n";
+        result += `A${i.toString(16).padStart(5, "0").toUpperCase()}: `;
+      } else if ((i - start) % 8 === 0) result += "- ";
+      else if ((i - start) % 4 === 0) result += " ";
+
+      const val = u8[i];
+      result += `${val.toString(16).padStart(2, "0")} `;
+
+      if (val > 31 && val < 127) asciiPart += String.fromCharCode(val);
+      else asciiPart += ".";
+
+      if ((i - start) % 16 === 15) asciiPart += "  ";
+    }
+
+    return result + asciiPart;
+  };
+
+  const header_of = xt => {
+    // Reverse lookup through every header of every wordlist
+    for (const it of headers()) {
+      if (it > 0 && cfa(it) === xt) return it;
+    }
+    return -1;
+  };
+
+  const word_name = xt => {
+    const header = header_of(xt);
+    if (header < 0) return `<${xt}>`;
+
+    const len = u8[header + CELL] & F_LENMASK;
+    return String.fromCharCode(...u8.slice(header + CELL + 1, header + CELL + 1 + len));
+  };
+
+  const wordlist_name = wid => {
+    // Named after the VOCABULARY word whose body holds it, if any
+    if (wid === FORTH) return "FORTH";
+    if (wid === ROOT) return "ROOT";
+    const xt = wid * CELL - 2 * CELL;
+    return header_of(xt) > 0 ? word_name(xt) : String(wid);
+  };
+
+  // Checked mode. Addresses must fall inside the heap and be aligned to the
+  // access size. Below the dictionary, Forth code may only write the registers
+  // it is meant to change: HERE through ALLOT, STATE through [ and ],
+  // CONTEXT through vocabulary words and BASE.
+  const WRITABLE_REGISTERS = [HERE_CELL, STATE, CONTEXT, BASE];
+
+  const check_access = (addr, size, is_write, alignment = size) => {
+    if (!Number.isInteger(addr) || addr < 0 || addr + size > heapSize) {
+      throw new ForthError(THROW_INVALID_ADDRESS, `Invalid memory address ${addr}`);
+    }
+    if (addr % alignment !== 0) {
+      throw new ForthError(THROW_ALIGNMENT, `Unaligned address ${addr}`);
+    }
+    if (is_write && addr < SYSTEM_CELLS * CELL && !WRITABLE_REGISTERS.includes(addr >> 2)) {
+      throw new ForthError(THROW_INVALID_ADDRESS, `Write to system register ${addr}`);
+    }
+  };
+
+  const check_xt = xt => {
+    // An execution token is the code field of a word or the start of a
+    // quotation. Anything else would run garbage, or loop through zeroed
+    // memory as DOCOL.
+    const in_dictionary = Number.isInteger(xt) && xt % CELL === 0 &&
+      xt >= SYSTEM_CELLS * CELL && xt < i32[HERE_CELL];
+    const is_quotation = in_dictionary && i32[xt >> 2] === OP_DOCOL &&
+      (i32[(xt + CELL) >> 2] & QUOTATION_START) !== 0;
+    if (!is_quotation && !(in_dictionary && header_of(xt) > 0)) {
+      throw new ForthError(THROW_INVALID_ADDRESS, `Not an execution token ${xt}`);
+    }
+  };
+
+  const pad = (word, at = i32[HERE_CELL]) => {
+    for (let i = 0; i < word.length; i++) u8[at + i] = word[i].charCodeAt(0);
+    return at;
+  };
+
+  // Unclear if "HERE" CPU instruction would make it more interesting?
+  // const here = () => i32[HERE_CELL];
+
+  // Input sources form a stack: the boot prelude sits at the bottom, files and
+  // REPL lines are pushed above it, and INCLUDE pushes a nested file on top.
+  // parse() always reads from the topmost source and drops it once it runs dry.
+  const sources = [];
+  let token = { name: "", line: 0, column: 0, word: "" };  // The last parsed word
+
+  const open_source = (text, name, line = 1) => {
+    sources.push({ name, line, column: 0, iter: text[Symbol.iterator]() });
+  };
+
+  const next_char = () => {
+    const source = sources[sources.length - 1];
+    if (source === undefined) return undefined;
+
+    const val = source.iter.next();
+    if (val.done) return undefined;
+    if (val.value === "\n") {
+      source.line += 1;
+      source.column = 0;
+    } else {
+      source.column += 1;
+    }
+    return val.value;
+  };
+
+  const parse = delimiter => {
+    // Detect a word by reading from input sources and return a word, otherwise
+    // -1 when there is no input left
+    let char = null;
+    let word = "";
+
+    // Skip leading delimiters, falling back to the outer source at the end of
+    // a nested one
+    do {
+      char = next_char();
+      if (char === undefined) {
+        sources.pop();
+        if (sources.length === 0) return -1;
+      }
+    } while (is_delimiter(char, delimiter));
+
+    const source = sources[sources.length - 1];
+    token = { name: source.name, line: source.line, column: source.column, word: "" };
+
+    // Read word until a delimiter. A word never spans two sources: the end of
+    // the current source acts as a delimiter too.
+    do {
+      word += char;
+      char = next_char();
+    } while (!is_delimiter(char, delimiter));
+
+    token.word = word;
+    return word;
+  };
+
+  const parse_until = delimiter => {
+    // Read raw text up to the delimiter, which is consumed. Unlike parse(), it
+    // keeps leading blanks and returns "" for an empty string.
+    let text = "";
+    for (let char = next_char(); !is_delimiter(char, delimiter); char = next_char()) {
+      text += char;
+    }
+    return text;
+  };
+
+  // Initialize virtual machine memory
+  //
+  i32[CURRENT] = FORTH;
+  i32[CONTEXT] = FORTH;
+  i32[ROOT + 1] = FORTH;
+  i32[VOC_LINK] = ROOT;
+  i32[ORDER_DEPTH] = 0;
+
+  i32[HERE_CELL] = SYSTEM_CELLS * CELL; // This is the first empty slot in system memory
+  i32[LATEST_CELL] = 0;
+  i32[STATE] = 0; // Be explicit about the interpreter mode
+  i32[BASE] = 10;
+
+  // Initialize built-in words and Forth virtual machine
+  //
+  const next1 = (np) => [i32[np >> 2], np + CELL];
+
+  defcode("DOCOL", 0, (ip, np) => {
+    pushrs(np);
+    if (tier) {
+      const body = body_of(ip);
+      if (body) return enter(body, 0);
+    }
+    return next1(ip + 2 * CELL);  // OP_DOCOL + reserved cell
+  });
+
+  defcode("DOVAR", F_HIDDEN, (ip, np) => {
+    pushds(ip + 2 * CELL);
+    return next1(np);
+  });
+  defcode("DORETURN", F_HIDDEN, (ip, np) => {
+    pushds(ip + 2 * CELL);
+    pushrs(np);
+    return next1(i32[(ip + CELL) >> 2]);
+  });
+  defcode("CREATE", 0, (ip, np) => {
+    const word = parse(" "); // white-space delimited words
+    create(word, 0);
+    i32_comma(OP_DOVAR); // execution semantics: push address onto data
+    // stack
+    i32_comma(0); // empty cell, could be overrided by DORETURN
+    link();
+    return next1(np);
+  });
+  // Set while DEF compiles a definition: what to roll HERE and LATEST back to
+  // if an error ends it, and the data stack depth END expects back
+  let defining = null;
+  // The quotations { is compiling, the innermost last, for ( to declare the
+  // effect of
+  const quoting = [];
+
+  const compile_only = () => {
+    if (i32[STATE] === 0) throw new ForthError(THROW_COMPILE_ONLY);
+  };
+
+  defcode("DEF", 0, (ip, np) => {
+    const word = parse(" "); // white-space delimited words
+    defining = { here: i32[HERE_CELL], latest: i32[LATEST_CELL], depth: ds.length };
+    create(word, 0);
+    i32_comma(OP_DOCOL);     // execution semantics: jump
+    i32_comma(0);            // reserved cell for consistency
+    i32[STATE] = 1;
+    locals = null;
+    picturing = false;
+    return next1(np);
+  });
+  defcode("(QUOTATION)", 0, (ip, np) => {
+    // ( -- xt ) lay down the DOCOL and marked reserved cell a quotation starts
+    // with. (END-QUOTATION) closes it.
+    quoting.push(i32[HERE_CELL]);
+    pushds(i32[HERE_CELL]);
+    i32_comma(OP_DOCOL);
+    i32_comma(QUOTATION_START);
+    return next1(np);
+  });
+  defcode("RETURN", 0, (ip, np) => {
+    // replaces the execution semantics of the most recent definition (hence the
+    // behavior is undefined if executed outside of CREATE) with the execution
+    // semantics from RETURN and returns the execution
+    if (rs.length === 0) {
+      throw new ForthError(THROW_COMPILE_ONLY, "RETURN is compile/colon-only (return stack empty)");
+    }
+
+    const latest = i32[LATEST_CELL]
+    if (latest === 0) throw new Error("RETURN with no latest word");
+
+    const xt = cfa(latest);
+    const cw = i32[xt >> 2];
+
+    if (cw !== OP_DOVAR) {
+      throw new Error("RETURN expects latest word to be CREATEd (codeword != DOVAR)");
+    }
+
+    i32[xt >> 2] = OP_DORETURN;
+    i32[(xt + CELL) >> 2] = np;
+    return next1(poprs());
+  });
+  defcode("END", F_IMMEDIATE, (ip, np) => {
+    compile_only();
+    if (defining !== null && ds.length !== defining.depth) {
+      throw new ForthError(THROW_CONTROL_MISMATCH, "Unresolved control structure");
+    }
+    i32_comma(primitives.get("EXIT"));
+    if (defining !== null) check_effect(cfa(i32[LATEST_CELL]));
+    i32[STATE] = 0;
+    locals = null;
+    picturing = false;
+    defining = null;
+    link();
+    return next1(np);
+  });
+  defcode("IMMEDIATE", F_IMMEDIATE, (ip, np) => {
+    // mark latest word in the current context immediate
+    const flags = i32[i32[CURRENT]] + CELL;
+    u8[flags] = u8[flags] | F_IMMEDIATE;
+
+    return next1(np);
+  });
+  // Control-flow items are an address and a tag saying which word left it,
+  // see IF and friends in the prelude
+  defcode("?COMP", 0, (ip, np) => {
+    // ( -- ) only while compiling
+    compile_only();
+    return next1(np);
+  });
+  defcode("?PAIRS", 0, (ip, np) => {
+    // ( tag expected -- ) the item on top must have been left by the word
+    // this one resolves
+    compile_only();
+    const expected = popds();
+    if (ds.length === 0 || popds() !== expected) throw new ForthError(THROW_CONTROL_MISMATCH);
+    return next1(np);
+  });
+  defcode("SEE", 0, (ip, np) => {
+    // ( -- ) SEE name: print the source a word decompiles to
+    const name = parse(" ");
+    if (name === -1) throw new Error("SEE expects a word name");
+    write(see(name) + "\n");
+    return next1(np);
+  });
+  defcode("DUMP", 0, (ip, np) => {
+    const len = popds();
+    write(dump(popds(), len) + "\n");
+    return next1(np);
+  });
+  defcode("LIT", 0, (ip, np) => {
+    pushds(i32[np >> 2]);
+    return next1(np + CELL);
+  });
+  defcode("EXIT", 0, (ip, np) => {
+    // a task is done when the code it was activated with returns
+    if (rs.length === 0 && current !== operator) return finish();
+    // the word that owns the top locals frame frees it on the way out
+    if (lp >= 0 && lp === rs.length - 2) unlocal();
+    return resume(poprs());
+  });
+  defcode("BYE", 0, (ip, np) => [HALT_BYE, np]);
+  defcode("PARSE", 0, (ip, np) => {
+    // ( delimeter -- addr length )
+    const delim = String.fromCharCode(popds());
+    const parsed = parse(delim);
+    const word = parsed === -1 ? "" : parsed;
+    const addr = pad(word);
+    pushds(addr);
+    pushds(word.length);
+    return next1(np);
+  });
+  defcode("INCLUDE", 0, (ip, np) => {
+    // ( -- ) INCLUDE filename: interpret the file, then resume the current source
+    const name = parse(" ");
+    if (name === -1) throw new Error("INCLUDE expects a file name");
+    open_source(readFile(name), name);
+    return next1(np);
+  });
+  defcode("SAVE-IMAGE", 0, (ip, np) => {
+    // ( -- ) SAVE-IMAGE filename
+    const name = parse(" ");
+    if (name === -1) throw new Error("SAVE-IMAGE expects a file name");
+    writeImage(name, save_image());
+    return next1(np);
+  });
+  defcode("LOAD-IMAGE", 0, (ip, np) => {
+    // ( -- ) LOAD-IMAGE filename: replace the dictionary, keep interpreting
+    const name = parse(" ");
+    if (name === -1) throw new Error("LOAD-IMAGE expects a file name");
+    load_image(readImage(name));
+    return next1(np);
+  });
+  defcode("FIND", 0, (ip, np) => {
+    // ( addr length -- cfa )
+    const len = popds();
+    const addr = popds();
+    const word = String.fromCharCode(...u8.slice(addr, addr + len));
+    pushds(cfa(find(word)));
+    return next1(np);
+  });
+  defcode("EXECUTE", 0, (ip, np) => {
+    const xt = popds();
+    if (checked) check_xt(xt);
+    return [xt, np];
+  });
+  defcode("CHECKED?", 0, (ip, np) => {
+    // ( -- flag ) whether memory access and EXECUTE are validated
+    pushds(flag(checked));
+    return next1(np);
+  });
+  defcode("DEPTH", 0, (ip, np) => {
+    pushds(ds.length);
+    return next1(np);
+  });
+  defcode("RDEPTH", 0, (ip, np) => {
+    pushds(rs.length);
+    return next1(np);
+  });
+  defcode(".S", 0, (ip, np) => {
+    // ( -- ) print the data stack, bottom first, without touching it
+    write(`<${ds.length}> ${ds.map(n => format(n, i32[BASE])).join(" ")} `);
+    return next1(np);
+  });
+  defcode("TRACE-ON", 0, (ip, np) => {
+    tracing = true;
+    retier();
+    return next1(np);
+  });
+  defcode("TRACE-OFF", 0, (ip, np) => {
+    tracing = false;
+    retier();
+    return next1(np);
+  });
+  defcode("BREAK", 0, (ip, np) => {
+    // ( -- ) BREAK name: pause into the debugger whenever name is executed
+    const name = parse(" ");
+    const header = name === -1 ? -1 : find(name);
+    if (header < 0) throw new ForthError(THROW_UNDEFINED, "Unknown word: " + name);
+    breakpoints.add(cfa(header));
+    retier();
+    return next1(np);
+  });
+  defcode("UNBREAK", 0, (ip, np) => {
+    const name = parse(" ");
+    const header = name === -1 ? -1 : find(name);
+    if (header < 0) throw new ForthError(THROW_UNDEFINED, "Unknown word: " + name);
+    breakpoints.delete(cfa(header));
+    retier();
+    return next1(np);
+  });
+  defcode("T{", 0, (ip, np) => {
+    // T{ ... -> ... }T compares the results of the code on the left with the
+    // values on the right, and reports a mismatch with the line of T{
+    test = { depth: ds.length, where: `${token.name}:${token.line}`, actual: null };
+    return next1(np);
+  });
+  defcode("->", 0, (ip, np) => {
+    test.actual = ds.splice(test.depth);
+    return next1(np);
+  });
+  defcode("}T", 0, (ip, np) => {
+    const expected = ds.splice(test.depth);
+    const { actual, where } = test;
+    if (expected.length !== actual.length) {
+      error(`${where}: WRONG NUMBER OF RESULTS: expected ${expected.length}, got ${actual.length}\n`);
+    } else if (expected.some((val, i) => val !== actual[i])) {
+      error(`${where}: INCORRECT RESULT: expected ${expected.join(" ")}, got ${actual.join(" ")}\n`);
+    }
+    return next1(np);
+  });
+  // Search order
+  //
+  // CONTEXT is searched first, then the wordlists ALSO stacked up in ORDER,
+  // then ROOT. New words go into CURRENT.
+  defcode("WORDLIST", 0, (ip, np) => {
+    // ( -- wid )
+    pushds(wordlist());
+    return next1(np);
+  });
+  defcode("SEARCH-WORDLIST", 0, (ip, np) => {
+    // ( addr len wid -- 0 | xt 1 | xt -1 ) 1 for an immediate word
+    const wid = popds();
+    const len = popds();
+    const header = find_in(string_at(popds(), len), wid);
+    if (header < 0) {
+      pushds(0);
+    } else {
+      pushds(cfa(header));
+      pushds(u8[header + CELL] & F_IMMEDIATE ? 1 : -1);
+    }
+    return next1(np);
+  });
+  defcode("ALSO", 0, (ip, np) => {
+    // ( -- ) duplicate the top of the search order
+    const depth = i32[ORDER_DEPTH];
+    if (depth >= ORDER_CELLS) throw new ForthError(THROW_ORDER_OVERFLOW);
+    i32[ORDER + depth] = i32[CONTEXT];
+    i32[ORDER_DEPTH] = depth + 1;
+    return next1(np);
+  });
+  defcode("PREVIOUS", 0, (ip, np) => {
+    // ( -- ) drop the top of the search order
+    const depth = i32[ORDER_DEPTH];
+    if (depth === 0) throw new ForthError(THROW_ORDER_UNDERFLOW);
+    i32[CONTEXT] = i32[ORDER + depth - 1];
+    i32[ORDER_DEPTH] = depth - 1;
+    return next1(np);
+  });
+
+  // FORTH and ONLY go into ROOT, so a vocabulary executed without ALSO can not
+  // take away the way back
+  i32[CURRENT] = ROOT;
+  defcode("FORTH", 0, (ip, np) => {
+    // ( -- ) replace the top of the search order with FORTH
+    i32[CONTEXT] = FORTH;
+    return next1(np);
+  });
+  defcode("ONLY", 0, (ip, np) => {
+    // ( -- ) search FORTH alone
+    i32[CONTEXT] = FORTH;
+    i32[ORDER_DEPTH] = 0;
+    return next1(np);
+  });
+  i32[CURRENT] = FORTH;
+
+  defcode("DEFINITIONS", 0, (ip, np) => {
+    // ( -- ) new words go into the top of the search order
+    i32[CURRENT] = i32[CONTEXT];
+    return next1(np);
+  });
+  defcode("ORDER", 0, (ip, np) => {
+    // ( -- ) print the search order, first searched first, and CURRENT
+    const order = [i32[CONTEXT]];
+    for (let i = i32[ORDER_DEPTH] - 1; i >= 0; i--) order.push(i32[ORDER + i]);
+    write(`${order.map(wordlist_name).join(" ")}  CURRENT: ${wordlist_name(i32[CURRENT])}\n`);
+    return next1(np);
+  });
+  defcode("CATCH", 0, (ip, np) => {
+    // ( xt -- 0 | n ) execute xt. The word returns through UNCATCH, and a
+    // THROW lands back here with the stack depths as they were after xt.
+    const xt = popds();
+    handlers.push({ ds: ds.length, rs: rs.length, fs: fstack.length, lp, np });
+    return [xt, uncatch];
+  });
+  defcode("(UNCATCH)", 0, (ip, np) => {
+    // the word guarded by CATCH returned normally
+    const frame = handlers.pop();
+    pushds(0);
+    return next1(frame.np);
+  });
+  defcode("THROW", 0, (ip, np) => {
+    // ( n -- ) unwind to the nearest CATCH unless n is zero
+    const code = popds();
+    if (code !== 0) throw new ForthError(code);
+    return next1(np);
+  });
+  defcode('ABORT"', F_IMMEDIATE, (ip, np) => {
+    // ABORT" message" ( flag -- ) throw -2 with the message if flag is set.
+    // When compiling, the message is laid down after (ABORT") as a counted
+    // string.
+    const message = parse_until('"');
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get('(ABORT")'));
+      string_comma(message);
+    } else if (popds()) {
+      throw new ForthError(THROW_ABORTQ, message);
+    }
+    return next1(np);
+  });
+  defcode('(ABORT")', 0, (ip, np) => {
+    const len = u8[np];
+    if (popds()) throw new ForthError(THROW_ABORTQ, string_at(np + 1, len));
+    return next1(aligned(np + 1 + len));
+  });
+
+  // Strings
+  //
+  // String literals are counted strings laid down in the dictionary. Compiled
+  // ones sit inline after (S"), (.") or (C"), which step over them; at the top
+  // level S" and C" lay the string down at HERE and allot it.
+  defcode('S"', F_IMMEDIATE, (ip, np) => {
+    // S" text" ( -- addr len )
+    const text = parse_until('"');
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get('(S")'));
+      string_comma(text);
+    } else {
+      const addr = i32[HERE_CELL] + 1;
+      string_comma(text);
+      pushds(addr);
+      pushds(text.length);
+    }
+    return next1(np);
+  });
+  defcode('(S")', 0, (ip, np) => {
+    const len = u8[np];
+    pushds(np + 1);
+    pushds(len);
+    return next1(aligned(np + 1 + len));
+  });
+  defcode('C"', F_IMMEDIATE, (ip, np) => {
+    // C" text" ( -- c-addr )
+    const text = parse_until('"');
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get('(C")'));
+      string_comma(text);
+    } else {
+      pushds(i32[HERE_CELL]);
+      string_comma(text);
+    }
+    return next1(np);
+  });
+  defcode('(C")', 0, (ip, np) => {
+    pushds(np);
+    return next1(aligned(np + 1 + u8[np]));
+  });
+  defcode('."', F_IMMEDIATE, (ip, np) => {
+    // ." text" ( -- ) print text, right away when interpreting
+    const text = parse_until('"');
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get('(.")'));
+      string_comma(text);
+    } else {
+      write(text);
+    }
+    return next1(np);
+  });
+  defcode('(.")', 0, (ip, np) => {
+    const len = u8[np];
+    write(string_at(np + 1, len));
+    return next1(aligned(np + 1 + len));
+  });
+  defcode("TYPE", 0, (ip, np) => {
+    // ( addr len -- )
+    const len = popds();
+    write(string_at(popds(), len));
+    return next1(np);
+  });
+  defcode("COUNT", 0, (ip, np) => {
+    // ( c-addr -- addr len )
+    const addr = popds();
+    pushds(addr + 1);
+    pushds(u8[addr]);
+    return next1(np);
+  });
+  defcode("COMPARE", 0, (ip, np) => {
+    // ( addr1 len1 addr2 len2 -- n ) -1, 0 or 1 as string 1 sorts before,
+    // equal to or after string 2
+    const len2 = popds();
+    const addr2 = popds();
+    const len1 = popds();
+    const addr1 = popds();
+    let result = 0;
+    for (let i = 0; result === 0 && i < Math.min(len1, len2); i++) {
+      result = Math.sign(u8[addr1 + i] - u8[addr2 + i]);
+    }
+    pushds(result !== 0 ? result : Math.sign(len1 - len2));
+    return next1(np);
+  });
+  defcode("SEARCH", 0, (ip, np) => {
+    // ( addr1 len1 addr2 len2 -- addr3 len3 flag ) find string 2 in string 1,
+    // leaving the rest of string 1 from the match on, or string 1 untouched
+    const len2 = popds();
+    const needle = string_at(popds(), len2);
+    const len1 = popds();
+    const addr1 = popds();
+    const at = string_at(addr1, len1).indexOf(needle);
+    pushds(at < 0 ? addr1 : addr1 + at);
+    pushds(at < 0 ? len1 : len1 - at);
+    pushds(flag(at >= 0));
+    return next1(np);
+  });
+  defcode("/STRING", 0, (ip, np) => {
+    // ( addr len n -- addr+n len-n )
+    const n = popds();
+    const len = popds();
+    pushds(popds() + n);
+    pushds(len - n);
+    return next1(np);
+  });
+  defcode("CMOVE", 0, (ip, np) => {
+    // ( from to len -- ) copy bytes from low addresses up
+    const len = popds();
+    const to = popds();
+    const from = popds();
+    touch(to, len);
+    for (let i = 0; i < len; i++) u8[to + i] = u8[from + i];
+    return next1(np);
+  });
+  defcode("FILL", 0, (ip, np) => {
+    // ( addr len char -- )
+    const char = popds();
+    const len = popds();
+    const addr = popds();
+    touch(addr, len);
+    u8.fill(char, addr, addr + len);
+    return next1(np);
+  });
+  defcode("-TRAILING", 0, (ip, np) => {
+    // ( addr len -- addr len' ) drop trailing blanks
+    let len = popds();
+    const addr = popds();
+    while (len > 0 && u8[addr + len - 1] === 32) len -= 1;
+    pushds(addr);
+    pushds(len);
+    return next1(np);
+  });
+  defcode(">CFA", 0, (ip, np) => {
+    pushds(cfa(popds()));
+    return next1(np);
+  });
+  defstraight("DROP", () => {
+    popds();
+  });
+  defstraight("OVER", () => {
+    const a = popds();
+    const b = popds();
+    pushds(b);
+    pushds(a);
+    pushds(b);
+  });
+  defstraight("SWAP", () => {
+    const a = popds();
+    const b = popds();
+    pushds(a);
+    pushds(b);
+  });
+  defstraight("DUP", () => {
+    const a = popds();
+    pushds(a);
+    pushds(a);
+  });
+  defcode("BRANCH", 0, (ip, np) => next1(i32[np >> 2]));
+  defcode("0BRANCH", 0, (ip, np) => {
+    if (popds() === 0) return next1(i32[np >> 2]);
+    else return next1(np + CELL);
+  });
+
+  // Arithmetic follows the 32-bit architecture: results wrap around like an
+  // i32 cell would, division truncates towards zero and comparisons leave the
+  // canonical flags -1 (true) and 0 (false).
+  const divisor = () => {
+    const n = popds();
+    if (n === 0) throw new ForthError(THROW_DIVISION_BY_ZERO);
+    return n;
+  };
+
+  defstraight("=", () => {
+    pushds(flag(popds() === popds()));
+  });
+  defstraight("0<", () => {
+    pushds(flag(popds() < 0));
+  });
+  defstraight("<", () => {
+    const n = popds();
+    pushds(flag(popds() < n));
+  });
+  defstraight(">", () => {
+    const n = popds();
+    pushds(flag(popds() > n));
+  });
+  defstraight("U<", () => {
+    const u = popds() >>> 0;
+    pushds(flag(popds() >>> 0 < u));
+  });
+  defstraight("MIN", () => {
+    pushds(Math.min(popds(), popds()));
+  });
+  defstraight("MAX", () => {
+    pushds(Math.max(popds(), popds()));
+  });
+  defstraight("+", () => {
+    pushds(popds() + popds() | 0);
+  });
+  defstraight("-", () => {
+    const n = popds();
+    pushds(popds() - n | 0);
+  });
+  defstraight("*", () => {
+    pushds(Math.imul(popds(), popds()));
+  });
+  defstraight("/", () => {
+    // ( n1 n2 -- n1/n2 )
+    const n = divisor();
+    pushds(Math.trunc(popds() / n) | 0);
+  });
+  defstraight("MOD", () => {
+    // ( n1 n2 -- rem ) the remainder takes the sign of n1
+    const n = divisor();
+    pushds(popds() % n | 0);
+  });
+  defstraight("/MOD", () => {
+    // ( n1 n2 -- rem quot )
+    const n = divisor();
+    const m = popds();
+    pushds(m % n | 0);
+    pushds(Math.trunc(m / n) | 0);
+  });
+  defstraight("*/", () => {
+    // ( n1 n2 n3 -- n1*n2/n3 ) with a 64-bit intermediate product
+    const n = divisor();
+    const product = BigInt(popds()) * BigInt(popds());
+    pushds(Number(BigInt.asIntN(32, product / BigInt(n))));
+  });
+  defstraight("AND", () => {
+    pushds(popds() & popds());
+  });
+  defstraight("OR", () => {
+    pushds(popds() | popds());
+  });
+  defstraight("XOR", () => {
+    pushds(popds() ^ popds());
+  });
+  defstraight("INVERT", () => {
+    pushds(~popds());
+  });
+  defstraight("LSHIFT", () => {
+    // ( x u -- x<<u ) shifts of 32 and more clear the cell
+    const u = popds();
+    const x = popds();
+    pushds(u >= 32 ? 0 : x << u);
+  });
+  defstraight("RSHIFT", () => {
+    // ( x u -- x>>u ) logical shift, zeros come in from the left
+    const u = popds();
+    const x = popds();
+    pushds(u >= 32 ? 0 : x >>> u | 0);
+  });
+  // Floating point
+  //
+  // A double in memory is two cells, read and written one cell at a time, so
+  // F@ and F! only need cell aligned addresses like @ and !. The prelude still
+  // float aligns the ones it lays down, see FALIGN. A literal compiles to FLIT
+  // followed by the double.
+  const bits = new Float64Array(1);
+  const bits_i32 = new Int32Array(bits.buffer);
+  const float_comma = r => {
+    bits[0] = r;
+    i32_comma(bits_i32[0]);
+    i32_comma(bits_i32[1]);
+  };
+  const float_at = addr => {
+    bits_i32[0] = i32[addr >> 2];
+    bits_i32[1] = i32[(addr + CELL) >> 2];
+    return bits[0];
+  };
+  const float_store = (addr, r) => {
+    bits[0] = r;
+    i32[addr >> 2] = bits_i32[0];
+    i32[(addr + CELL) >> 2] = bits_i32[1];
+  };
+  const float_op = (name, fn) => defcode(name, 0, (ip, np) => {
+    const r2 = popfs();
+    pushfs(fn(popfs(), r2));
+    return next1(np);
+  }, "--");
+  const float_fn = (name, fn) => defcode(name, 0, (ip, np) => {
+    pushfs(fn(popfs()));
+    return next1(np);
+  }, "--");
+
+  defcode("FLIT", 0, (ip, np) => {
+    pushfs(float_at(np));
+    return next1(np + 2 * CELL);
+  });
+  float_op("F+", (r1, r2) => r1 + r2);
+  float_op("F-", (r1, r2) => r1 - r2);
+  float_op("F*", (r1, r2) => r1 * r2);
+  float_op("F/", (r1, r2) => r1 / r2);
+  float_op("F**", Math.pow);
+  float_fn("FNEGATE", r => -r);
+  float_fn("FABS", Math.abs);
+  float_fn("FSQRT", Math.sqrt);
+  float_fn("FSIN", Math.sin);
+  float_fn("FCOS", Math.cos);
+  float_fn("FEXP", Math.exp);
+  float_fn("FLN", Math.log);
+  float_fn("FLOOR", Math.floor);
+  float_fn("FROUND", Math.round);
+  defcode("FDUP", 0, (ip, np) => {
+    const r = popfs();
+    pushfs(r);
+    pushfs(r);
+    return next1(np);
+  });
+  defcode("FDROP", 0, (ip, np) => {
+    popfs();
+    return next1(np);
+  });
+  defcode("FSWAP", 0, (ip, np) => {
+    const r2 = popfs();
+    const r1 = popfs();
+    pushfs(r2);
+    pushfs(r1);
+    return next1(np);
+  });
+  defcode("FOVER", 0, (ip, np) => {
+    const r2 = popfs();
+    const r1 = popfs();
+    pushfs(r1);
+    pushfs(r2);
+    pushfs(r1);
+    return next1(np);
+  });
+  defcode("FDEPTH", 0, (ip, np) => {
+    pushds(fstack.length);
+    return next1(np);
+  });
+  defcode("F<", 0, (ip, np) => {
+    // ( -- flag ) ( F: r1 r2 -- )
+    const r2 = popfs();
+    pushds(flag(popfs() < r2));
+    return next1(np);
+  });
+  defcode("F0=", 0, (ip, np) => {
+    pushds(flag(popfs() === 0));
+    return next1(np);
+  });
+  defcode("F0<", 0, (ip, np) => {
+    pushds(flag(popfs() < 0));
+    return next1(np);
+  });
+  defcode("S>F", 0, (ip, np) => {
+    // ( n -- ) ( F: -- r )
+    pushfs(popds());
+    return next1(np);
+  });
+  defcode("F>S", 0, (ip, np) => {
+    // ( -- n ) ( F: r -- ) the integer part, wrapped into a cell
+    pushds(Math.trunc(popfs()) | 0);
+    return next1(np);
+  });
+  defcode("F@", 0, (ip, np) => {
+    // ( addr -- ) ( F: -- r )
+    const addr = popds();
+    if (checked) check_access(addr, FLOAT, false, CELL);
+    pushfs(float_at(addr));
+    return next1(np);
+  });
+  defcode("F!", 0, (ip, np) => {
+    // ( addr -- ) ( F: r -- )
+    const addr = popds();
+    if (checked) check_access(addr, FLOAT, true, CELL);
+    touch(addr, FLOAT);
+    float_store(addr, popfs());
+    return next1(np);
+  });
+  defcode("F.", 0, (ip, np) => {
+    write(String(popfs()) + " ");
+    return next1(np);
+  });
+
+  defcode("EMIT", 0, (ip, np) => {
+    write(String.fromCodePoint(popds()));
+    return next1(np);
+  });
+  defcode("PRINT", 0, (ip, np) => {
+    write(format(popds(), i32[BASE]));
+    return next1(np);
+  });
+  defcode(".", 0, (ip, np) => {
+    // ( n -- ) print n in BASE and a space
+    write(format(popds(), i32[BASE]) + " ");
+    return next1(np);
+  });
+  defcode("U.", 0, (ip, np) => {
+    // ( u -- ) print the cell as an unsigned number and a space
+    write(format(popds() >>> 0, i32[BASE]) + " ");
+    return next1(np);
+  });
+  defcode(".R", 0, (ip, np) => {
+    // ( n width -- ) print n right-aligned in a field of width characters
+    const width = popds();
+    write(format(popds(), i32[BASE]).padStart(width));
+    return next1(np);
+  });
+
+  // Pictured numeric output
+  //
+  // <# starts a number in the hold area, which floats HOLD_SIZE bytes above
+  // HERE, and digits are added right to left down from its end. The words
+  // work on single unsigned cells, this machine has no doubles. Since # is
+  // also the comment word, <# and #> are immediate and tell the compiler when
+  // a # means a digit: between them, in the definition being compiled. At the
+  // top level a # is always a comment.
+  const HOLD_SIZE = 128;
+  let hold_end = 0;
+  let hold = 0;
+  let picturing = false;
+
+  const hold_char = char => {
+    hold -= 1;
+    u8[hold] = char;
+  };
+  const hold_digit = () => {
+    const u = popds() >>> 0;
+    const base = i32[BASE];
+    hold_char(DIGITS.charCodeAt(u % base));
+    pushds(Math.floor(u / base) | 0);
+  };
+
+  defcode("<#", F_IMMEDIATE, (ip, np) => {
+    if (i32[STATE] !== 0) {
+      picturing = true;
+      i32_comma(primitives.get("(<#)"));
+    } else {
+      hold = hold_end = i32[HERE_CELL] + HOLD_SIZE;
+    }
+    return next1(np);
+  });
+  defcode("(<#)", 0, (ip, np) => {
+    hold = hold_end = i32[HERE_CELL] + HOLD_SIZE;
+    return next1(np);
+  });
+  defcode("#>", F_IMMEDIATE, (ip, np) => {
+    // ( u -- addr len )
+    picturing = false;
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get("(#>)"));
+    } else {
+      popds();
+      pushds(hold);
+      pushds(hold_end - hold);
+    }
+    return next1(np);
+  });
+  defcode("(#>)", 0, (ip, np) => {
+    popds();
+    pushds(hold);
+    pushds(hold_end - hold);
+    return next1(np);
+  });
+  defcode("PICTURING?", 0, (ip, np) => {
+    // ( -- flag ) compiling between <# and #>
+    pushds(flag(picturing && i32[STATE] !== 0));
+    return next1(np);
+  });
+  defcode("(#)", 0, (ip, np) => {
+    // ( u -- u/base ) hold the lowest digit
+    hold_digit();
+    return next1(np);
+  });
+  defcode("#S", 0, (ip, np) => {
+    // ( u -- 0 ) hold the remaining digits, at least one
+    do hold_digit(); while (ds[ds.length - 1] !== 0);
+    return next1(np);
+  });
+  defcode("HOLD", 0, (ip, np) => {
+    // ( char -- )
+    hold_char(popds());
+    return next1(np);
+  });
+  defcode("SIGN", 0, (ip, np) => {
+    // ( n -- ) hold a minus sign if n is negative
+    if (popds() < 0) hold_char("-".charCodeAt(0));
+    return next1(np);
+  });
+  defstraight("@", () => {
+    const addr = popds();
+    if (checked) check_access(addr, CELL, false);
+    pushds(i32[addr >> 2]);
+  });
+  defstraight("!", () => {
+    const addr = popds();
+    if (checked) check_access(addr, CELL, true);
+    touch(addr, CELL);
+    i32[addr >> 2] = popds();
+  });
+  defstraight("C@", () => {
+    const addr = popds();
+    if (checked) check_access(addr, 1, false);
+    pushds(u8[addr]);
+  });
+  defstraight("C!", () => {
+    const addr = popds();
+    if (checked) check_access(addr, 1, true);
+    touch(addr, 1);
+    u8[addr] = popds();
+  });
+  defstraight(">R", () => {
+    pushrs(popds());
+  });
+  defstraight("R>", () => {
+    pushds(poprs());
+  });
+
+  // Counted loops keep the limit and the index on the return stack, the index
+  // on top. The compiling words live in the prelude: (LOOP) and (+LOOP) leave
+  // a flag for the 0BRANCH that DO ... LOOP compiles after them.
+  const loop_param = depth => {
+    if (rs.length < depth) throw new ForthError(THROW_RSTACK_UNDERFLOW);
+    return rs[rs.length - depth];
+  };
+
+  defstraight("(DO)", () => {
+    // ( limit start -- ) ( R: -- limit index )
+    const start = popds();
+    pushrs(popds());
+    pushrs(start);
+  });
+  defstraight("(?DO)", () => {
+    // ( limit start -- flag ) enter the loop unless start equals limit
+    const start = popds();
+    const limit = popds();
+    if (start === limit) {
+      pushds(FALSE);
+    } else {
+      pushrs(limit);
+      pushrs(start);
+      pushds(TRUE);
+    }
+  });
+  defstraight("(LOOP)", () => {
+    // ( -- flag ) step the index by one, true and unloop when it hits limit
+    const index = loop_param(1) + 1 | 0;
+    const done = index === loop_param(2);
+    if (done) rs.length -= 2;
+    else rs[rs.length - 1] = index;
+    pushds(flag(done));
+  });
+  defstraight("(+LOOP)", () => {
+    // ( n -- flag ) step the index by n, done when it crosses the boundary
+    // between limit-1 and limit in either direction
+    const n = popds();
+    const offset = loop_param(1) - loop_param(2) | 0;
+    const next = offset + n | 0;
+    const done = (offset ^ next) < 0 && (offset ^ n) < 0;
+    if (done) rs.length -= 2;
+    else rs[rs.length - 1] = loop_param(1) + n | 0;
+    pushds(flag(done));
+  });
+  defstraight("I", () => {
+    pushds(loop_param(1));
+  });
+  defstraight("J", () => {
+    pushds(loop_param(3));
+  });
+  defstraight("UNLOOP", () => {
+    loop_param(2);
+    rs.length -= 2;
+  });
+
+  // Locals
+  //
+  // {: at the start of a definition compiles (LOCALS) with the number of
+  // locals, how many of them come off the data stack, and the declaration as a
+  // counted string for SEE. At run time it pushes a frame on the return stack:
+  //
+  //   ... return address, local n-1, ..., local 0, previous lp, owner xt
+  //
+  // where lp points at the previous lp cell. A local compiles to (LOCAL) with
+  // the owner and its number. The owner lets a quotation find the frame of the
+  // definition it was written in, even when it runs under other frames.
+  const locals_count = owner => i32[(owner + 3 * CELL) >> 2];
+  const locals_names = owner => {
+    const addr = owner + 5 * CELL;
+    return string_at(addr + 1, u8[addr]).split(" ").filter(name => name !== "|");
+  };
+  const unlocal = () => {
+    const base = lp - locals_count(rs[lp + 1]);
+    lp = rs[lp];
+    rs.length = base;
+  };
+
+  // TO stores 0 into the TO-MESSAGE variable from the prelude, and the next
+  // VALUE or local to run stores instead of fetching
+  const to_message = () => prelude_xt("TO-MESSAGE") + 2 * CELL;
+  const assigning = () => prelude_xt("TO-MESSAGE") > 0 && i32[to_message() >> 2] === 0;
+
+  defcode("{:", F_IMMEDIATE, (ip, np) => {
+    // {: a b | c -- comment :} takes a and b off the data stack, c starts at 0
+    const owner = i32[HERE_CELL] - 2 * CELL;
+    if (i32[STATE] === 0 || i32[LATEST_CELL] === 0 || owner !== cfa(i32[LATEST_CELL])) {
+      throw new Error("{: must start a definition");
+    }
+
+    const declared = [];
+    let initialized = -1;
+    let comment = false;
+    for (let name = parse(" "); name !== ":}"; name = parse(" ")) {
+      if (name === -1) throw new Error("{: expects :}");
+      if (name === "--") comment = true;
+      if (comment) continue;
+      if (name === "|") initialized = declared.length;
+      declared.push(name);
+    }
+
+    const names = declared.filter(name => name !== "|");
+    i32_comma(primitives.get("(LOCALS)"));
+    i32_comma(names.length);
+    i32_comma(initialized < 0 ? names.length : initialized);
+    string_comma(declared.join(" "));
+    locals = { owner, names };
+    return next1(np);
+  });
+  defcode("(LOCALS)", 0, (ip, np) => {
+    const count = i32[np >> 2];
+    const initialized = i32[(np + CELL) >> 2];
+    for (let i = initialized; i < count; i++) pushrs(0);
+    for (let i = 0; i < initialized; i++) pushrs(popds());
+    pushrs(lp);
+    pushrs(np - 3 * CELL);
+    lp = rs.length - 2;
+    const names = np + 2 * CELL;
+    return next1(aligned(names + 1 + u8[names]));
+  });
+  defcode("(LOCAL)", 0, (ip, np) => {
+    // ( -- x ) or, after TO, ( x -- )
+    const owner = i32[np >> 2];
+    let frame = lp;
+    while (frame >= 0 && rs[frame + 1] !== owner) frame = rs[frame];
+    if (frame < 0) {
+      throw new ForthError(THROW_RSTACK_IMBALANCE, `Local outside of ${word_name(owner)}`);
+    }
+
+    const slot = frame - 1 - i32[(np + CELL) >> 2];
+    if (assigning()) {
+      rs[slot] = popds();
+      i32[to_message() >> 2] = 1;
+    } else {
+      pushds(rs[slot]);
+    }
+    return next1(np + 2 * CELL);
+  });
+  // Foreign functions
+  //
+  // The host registers Javascript functions under a name and a signature that
+  // lists argument and result types, such as "s n -- h":
+  //
+  //   n  a cell as a number           s  addr len as a string
+  //   ?  a flag as a boolean          h  a handle as any object
+  //   f  a float from the float stack
+  //   u8[] i32[] f64[]  addr count as a typed array over the heap, no copy
+  //
+  // A function with several results returns them in an array. JS-CALL name
+  // compiles (JS-CALL) with the function's index. Objects cross the stacks as
+  // handles, indexes into a table that keeps them alive until JS-RELEASE;
+  // handle 0 is undefined or null. A handle a function returns is the caller's
+  // to release. Result strings are copied to HERE, side by side, and like the
+  // ones PARSE leaves only last until the dictionary grows.
+  const functions = [];
+  const function_index = new Map();
+  const handles = [undefined];
+  const free_handles = [];
+  let strings_at = 0;  // Where the next result string of a call goes
+
+  const to_handle = object => {
+    if (object === undefined || object === null) return 0;
+    const handle = free_handles.length > 0 ? free_handles.pop() : handles.length;
+    handles[handle] = object;
+    return handle;
+  };
+  const from_handle = handle => {
+    if (handle !== 0 && handles[handle] === undefined) throw new Error(`Invalid handle ${handle}`);
+    return handles[handle];
+  };
+  const release = handle => {
+    if (handle === 0) return;
+    from_handle(handle);
+    handles[handle] = undefined;
+    free_handles.push(handle);
+  };
+
+  const typed_array = Type => ({
+    pop: () => {
+      const count = popds();
+      return new Type(heap, popds(), count);
+    },
+  });
+  const types = {
+    "n": { pop: () => popds(), push: n => pushds(Number(n) | 0) },
+    "?": { pop: () => popds() !== 0, push: b => pushds(flag(b)) },
+    "f": { pop: () => popfs(), push: r => pushfs(Number(r)) },
+    "h": { pop: () => from_handle(popds()), push: object => pushds(to_handle(object)) },
+    "s": {
+      pop: () => {
+        const len = popds();
+        return string_at(popds(), len);
+      },
+      push: text => {
+        text = String(text);
+        pushds(pad(text, strings_at));
+        pushds(text.length);
+        strings_at += text.length;
+      },
+    },
+    "u8[]": typed_array(Uint8Array),
+    "i32[]": typed_array(Int32Array),
+    "f64[]": typed_array(Float64Array),
+  };
+
+  const signature = text => {
+    const [args, results = ""] = text.split("--");
+    const parse_types = part => part.split(/\s+/).filter(type => type !== "").map(type => {
+      if (types[type] === undefined) throw new Error(`Unknown type ${type} in "${text}"`);
+      return type;
+    });
+    const parsed = { args: parse_types(args), results: parse_types(results) };
+    const bad = parsed.results.find(type => types[type].push === undefined);
+    if (bad !== undefined) throw new Error(`${bad} can not be a result in "${text}"`);
+    return parsed;
+  };
+  const register = (name, spec, fn) => {
+    // Registering a name again replaces the function, compiled calls included
+    const entry = { name, fn, ...signature(spec) };
+    if (!function_index.has(name)) {
+      function_index.set(name, functions.length);
+      functions.push(entry);
+    } else {
+      functions[function_index.get(name)] = entry;
+    }
+  };
+  const call_function = index => {
+    const { fn, args, results } = functions[index];
+    const values = [];
+    for (let i = args.length - 1; i >= 0; i--) values[i] = types[args[i]].pop();
+    const result = fn(...values);
+    for (const value of values) {
+      // Javascript may have written to the heap through a view
+      if (ArrayBuffer.isView(value) && value.buffer === heap) touch(value.byteOffset, value.byteLength);
+    }
+    strings_at = i32[HERE_CELL];
+    if (results.length === 1) types[results[0]].push(result);
+    else results.forEach((type, i) => types[type].push(result[i]));
+  };
+
+  for (const [name, [spec, fn]] of Object.entries({ ...FOREIGN, ...foreign })) register(name, spec, fn);
+
+  defcode("JS-CALL", F_IMMEDIATE, (ip, np) => {
+    // JS-CALL name ( args -- results ), call right away when interpreting
+    const name = parse(" ");
+    const index = function_index.get(name);
+    if (index === undefined) throw new ForthError(THROW_UNDEFINED, `Unknown JS function: ${name}`);
+    if (i32[STATE] !== 0) {
+      i32_comma(primitives.get("(JS-CALL)"));
+      i32_comma(index);
+    } else {
+      call_function(index);
+    }
+    return next1(np);
+  });
+  defcode("(JS-CALL)", 0, (ip, np) => {
+    call_function(i32[np >> 2]);
+    return next1(np + CELL);
+  });
+  defcode("JS-RELEASE", 0, (ip, np) => {
+    // ( h -- ) forget the object behind a handle
+    release(popds());
+    return next1(np);
+  });
+
+  // Files
+  //
+  // A fileid is a handle to the file descriptor and the position the next
+  // read or write goes to. The words return an ior instead of throwing: 0, or
+  // the THROW code for a missing file or a failed operation. FILE-SIZE and
+  // friends return single cells, there are no doubles.
+  const FILE_MODES = ["r", "r+", "r+"];  // by fam: R/O W/O R/W, BIN is ignored
+  const io = fn => {
+    if (fileSystem === null) return THROW_NO_FILE;  // in the browser, say
+    try {
+      fn();
+      return 0;
+    } catch (e) {
+      if (typeof e.code !== "string") throw e;  // not an error from the file system
+      return e.code === "ENOENT" ? THROW_NO_FILE : THROW_FILE_IO;
+    }
+  };
+  const file_name = () => {
+    const len = popds();
+    return string_at(popds(), len);
+  };
+  const open_file = flags => {
+    // ( c-addr u fam -- fileid ior )
+    const fam = popds();
+    const name = file_name();
+    let fileid = 0;
+    const ior = io(() => {
+      const fd = fileSystem.openSync(name, flags === undefined ? FILE_MODES[fam & 3] : flags);
+      fileid = to_handle({ fd, position: 0 });
+    });
+    pushds(fileid);
+    pushds(ior);
+  };
+
+  defcode("OPEN-FILE", 0, (ip, np) => {
+    open_file();
+    return next1(np);
+  });
+  defcode("CREATE-FILE", 0, (ip, np) => {
+    // creates the file, or empties it if it exists
+    open_file("w+");
+    return next1(np);
+  });
+  defcode("CLOSE-FILE", 0, (ip, np) => {
+    // ( fileid -- ior )
+    const fileid = popds();
+    const file = from_handle(fileid);
+    pushds(io(() => fileSystem.closeSync(file.fd)));
+    release(fileid);
+    return next1(np);
+  });
+  defcode("DELETE-FILE", 0, (ip, np) => {
+    // ( c-addr u -- ior )
+    const name = file_name();
+    pushds(io(() => fileSystem.unlinkSync(name)));
+    return next1(np);
+  });
+  defcode("READ-FILE", 0, (ip, np) => {
+    // ( c-addr u1 fileid -- u2 ior ) u2 is 0 at the end of the file
+    const file = from_handle(popds());
+    const len = popds();
+    const addr = popds();
+    let n = 0;
+    const ior = io(() => n = fileSystem.readSync(file.fd, u8, addr, len, file.position));
+    touch(addr, n);
+    file.position += n;
+    pushds(n);
+    pushds(ior);
+    return next1(np);
+  });
+  defcode("READ-LINE", 0, (ip, np) => {
+    // ( c-addr u1 fileid -- u2 flag ior ) read up to u1 characters of the next
+    // line, without the line break; flag is false at the end of the file
+    const file = from_handle(popds());
+    const len = popds();
+    const addr = popds();
+    const chunk = new Uint8Array(len + 1);
+    let n = 0;
+    const ior = io(() => n = fileSystem.readSync(file.fd, chunk, 0, len + 1, file.position));
+
+    const newline = chunk.subarray(0, n).indexOf(10);
+    const found = newline >= 0 && newline <= len;
+    let line = found ? newline : Math.min(n, len);
+    file.position += found ? newline + 1 : line;
+    if (found && line > 0 && chunk[line - 1] === 13) line -= 1;
+    touch(addr, line);
+    u8.set(chunk.subarray(0, line), addr);
+    pushds(line);
+    pushds(flag(ior === 0 && n > 0));
+    pushds(ior);
+    return next1(np);
+  });
+  const write_file = text => {
+    // ( c-addr u fileid -- ior )
+    const file = from_handle(popds());
+    const len = popds();
+    const addr = popds();
+    const bytes = Uint8Array.from([...u8.subarray(addr, addr + len), ...text]);
+    pushds(io(() => file.position += fileSystem.writeSync(file.fd, bytes, 0, bytes.length, file.position)));
+  };
+  defcode("WRITE-FILE", 0, (ip, np) => {
+    write_file([]);
+    return next1(np);
+  });
+  defcode("WRITE-LINE", 0, (ip, np) => {
+    write_file([10]);
+    return next1(np);
+  });
+  defcode("FILE-SIZE", 0, (ip, np) => {
+    // ( fileid -- u ior )
+    const file = from_handle(popds());
+    let size = 0;
+    const ior = io(() => size = fileSystem.fstatSync(file.fd).size);
+    pushds(size);
+    pushds(ior);
+    return next1(np);
+  });
+  defcode("FILE-POSITION", 0, (ip, np) => {
+    // ( fileid -- u ior )
+    pushds(from_handle(popds()).position);
+    pushds(0);
+    return next1(np);
+  });
+  defcode("REPOSITION-FILE", 0, (ip, np) => {
+    // ( u fileid -- ior )
+    const file = from_handle(popds());
+    file.position = popds();
+    pushds(0);
+    return next1(np);
+  });
+
+  // Console input comes from read(), a chunk at a time. On Node it blocks
+  // until input arrives, so KEY and ACCEPT wait for it, and KEY returns -1 once
+  // the input has run out. KEY? never waits: it asks read(false) for input
+  // only when none is left over.
+  let keys = "";
+  const buffered = () => {
+    if (keys.length === 0) keys = read();
+    return keys.length > 0;
+  };
+
+  defcode("KEY", 0, (ip, np) => {
+    // ( -- char )
+    if (buffered()) {
+      pushds(keys.charCodeAt(0));
+      keys = keys.substring(1);
+    } else {
+      pushds(-1);
+    }
+    return next1(np);
+  });
+  defcode("KEY?", 0, (ip, np) => {
+    // ( -- flag )
+    if (keys.length === 0) keys = read(false);
+    pushds(flag(keys.length > 0));
+    return next1(np);
+  });
+  defcode("ACCEPT", 0, (ip, np) => {
+    // ( c-addr +n1 -- +n2 ) read a line of up to n1 characters
+    const max = popds();
+    const addr = popds();
+    let n = 0;
+    while (n < max && buffered()) {
+      const char = keys.charCodeAt(0);
+      keys = keys.substring(1);
+      if (char === 10) break;
+      if (char !== 13) u8[addr + n++] = char;
+    }
+    touch(addr, n);
+    pushds(n);
+    return next1(np);
+  });
+
+  defcode("EVALUATE", 0, (ip, np) => {
+    // Algorithm:
+    // 1) Read in a space delimited Forth WORD from text buffer.
+    // 2) Is this WORD in the dictionary?
+    //    FOUND)          Are we in COMPILE mode and reading NOT IMMEDIATE WORD?
+    //                    YES) Compile WORD into the dictionary.
+    //                    NO)  Push CFA onto data stack
+    //    NOT-FOUND)      Is this actually a number?
+    //                    YES) Are we in IMMEDIATE mode?
+    //                         IMMEDIATE-MODE) Push number onto the stack.
+    //                         COMPILE-MODE)   Compile a literal number.
+    //                    NO)  Error! Handle error
+
+    const word = parse(" ");
+    if (word === -1) return [HALT_INPUT, np];
+
+    // locals of the definition being compiled shadow the dictionary
+    const local = locals !== null && i32[STATE] !== 0 ? locals.names.indexOf(word) : -1;
+    if (local >= 0) {
+      i32_comma(primitives.get("(LOCAL)"));
+      i32_comma(locals.owner);
+      i32_comma(local);
+      return next1(np);
+    }
+
+    // find(word) could return cfa, but then I need >FLAGS method to identify
+    // whether a word is IMMEDIATE or not. Ironically, FIND word returns CFA.
+    const addr = find(word);
+    if (addr > 0) {
+      const is_immediate = u8[addr + CELL] & F_IMMEDIATE;
       const is_compiling = i32[STATE];
-      if (is_compiling !== 0) {
-        i32_comma(cfa(find("LIT")));
-        i32_comma(number);
+      // compile a word
+      if (is_compiling !== 0 && is_immediate === 0) i32_comma(cfa(addr));
+      // execute a word (aka jump to word's cfa)
+      else return [cfa(addr), np];
+    } else {
+      const number = convert(word, i32[BASE]);
+      const float = i32[BASE] === 10 ? convert_float(word) : NaN;
+      if (!isNaN(number)) {
+        const is_compiling = i32[STATE];
+        if (is_compiling !== 0) {
+          i32_comma(primitives.get("LIT"));
+          i32_comma(number);
+        } else {
+          pushds(number);
+        }
+      } else if (!isNaN(float)) {
+        if (i32[STATE] !== 0) {
+          i32_comma(primitives.get("FLIT"));
+          float_comma(float);
+        } else {
+          pushfs(float);
+        }
+      } else {
+        throw new ForthError(THROW_UNDEFINED, "Unknown word: " + word);
+      }
+    }
+    return next1(np);
+  });
+
+  const start = i32[HERE_CELL];
+  i32_comma(primitives.get("EVALUATE"));
+  i32_comma(primitives.get("BRANCH"));
+  i32_comma(start);
+
+  // CATCH makes the guarded word return here
+  const uncatch = i32[HERE_CELL];
+  i32_comma(primitives.get("(UNCATCH)"));
+
+  // Decompiler
+  //
+  // SEE turns a code field back into source. Colon definitions are decoded one
+  // instruction at a time: LIT, COMPILE, locals and the string words carry
+  // inline operands,
+  // nested quotations are recognized by the LIT/BRANCH pair that { compiles in
+  // front of them, and branches are folded back into IF/ELSE/THEN,
+  // BEGIN/UNTIL/AGAIN, BEGIN/WHILE/REPEAT and DO/LOOP where the shape allows it.
+  const lit_xt = primitives.get("LIT");
+  const flit_xt = primitives.get("FLIT");
+  const js_call_xt = primitives.get("(JS-CALL)");
+  const branch_xt = primitives.get("BRANCH");
+  const zbranch_xt = primitives.get("0BRANCH");
+  const exit_xt = primitives.get("EXIT");
+  const do_xt = primitives.get("(DO)");
+  const qdo_xt = primitives.get("(?DO)");
+  const unloop_xt = primitives.get("UNLOOP");
+  const locals_xt = primitives.get("(LOCALS)");
+  const local_xt = primitives.get("(LOCAL)");
+  const loops = {  // Words in front of the 0BRANCH back to the loop start
+    [primitives.get("(LOOP)")]: "LOOP",
+    [primitives.get("(+LOOP)")]: "+LOOP",
+  };
+  const inline_strings = {  // Words followed by a counted string, by xt
+    [primitives.get('(ABORT")')]: 'ABORT"',
+    [primitives.get('(S")')]: 'S"',
+    [primitives.get('(C")')]: 'C"',
+    [primitives.get('(.")')]: '."',
+  };
+  const pictured = {  // What <# # #> compile, by xt
+    [primitives.get("(<#)")]: "<#",
+    [primitives.get("(#)")]: "#",
+    [primitives.get("(#>)")]: "#>",
+  };
+
+  const size_of = (pc, compile_xt) => {
+    // bytes taken by the instruction at pc with its inline operands
+    const xt = i32[pc >> 2];
+    if (xt === lit_xt || xt === branch_xt || xt === zbranch_xt) return 2 * CELL;
+    if (xt === js_call_xt || xt === compile_xt) return 2 * CELL;
+    if (xt === flit_xt || xt === local_xt) return 3 * CELL;
+    if (xt === locals_xt) return aligned(pc + 3 * CELL + 1 + u8[pc + 3 * CELL]) - pc;
+    if (inline_strings[xt] !== undefined) return aligned(pc + CELL + 1 + u8[pc + CELL]) - pc;
+    return CELL;
+  };
+
+  const effect_prefix = xt => {
+    const effect = declared(xt);
+    return effect === null ? "" : effect_text(effect) + " ";
+  };
+
+  const decode = (pc, compile_xt) => {
+    const xt = i32[pc >> 2];
+    const operand = i32[(pc + CELL) >> 2];
+    const size = size_of(pc, compile_xt);
+
+    if (xt === lit_xt) {
+      const is_quotation = operand === pc + 4 * CELL &&
+        i32[(pc + 2 * CELL) >> 2] === branch_xt && i32[operand >> 2] === OP_DOCOL;
+      if (is_quotation) {
+        const after = i32[(pc + 3 * CELL) >> 2];
+        const body = decode_body(operand + 2 * CELL, after - CELL);
+        return { pc, xt, size: after - pc, text: `{ ${effect_prefix(operand)}${render(body)} }` };
+      }
+      return { pc, xt, size, text: String(operand) };
+    }
+    if (xt === branch_xt || xt === zbranch_xt) {
+      return { pc, xt, size, target: operand };
+    }
+    if (xt === js_call_xt) {
+      return { pc, xt, size, text: `JS-CALL ${functions[operand].name}` };
+    }
+    if (xt === flit_xt) {
+      return { pc, xt, size, text: float_at(pc + CELL).toExponential() };
+    }
+    if (xt === locals_xt) {
+      const names = pc + 3 * CELL;
+      return { pc, xt, size, text: `{: ${string_at(names + 1, u8[names])} :}` };
+    }
+    if (xt === local_xt) {
+      return { pc, xt, size, text: locals_names(operand)[i32[(pc + 2 * CELL) >> 2]] };
+    }
+    if (xt === compile_xt) {
+      return { pc, xt, size, text: `COMPILE ${word_name(operand)}` };
+    }
+    if (inline_strings[xt] !== undefined) {
+      const text = string_at(pc + CELL + 1, u8[pc + CELL]);
+      return { pc, xt, size, text: `${inline_strings[xt]} ${text}"` };
+    }
+    if (pictured[xt] !== undefined) {
+      return { pc, xt, size, text: pictured[xt] };
+    }
+    return { pc, xt, size, text: word_name(xt) };
+  };
+  const decode_body = (from, until) => {
+    // Decode up to `until`, or, when it is not given, up to the EXIT that no
+    // forward branch jumps over. The final EXIT is left out.
+    const compile_xt = prelude_xt("COMPILE");
+    const code = [];
+    let reach = from;
+    for (let pc = from; pc < (until === undefined ? i32[HERE_CELL] : until);) {
+      if (until === undefined && i32[pc >> 2] === exit_xt && pc >= reach) break;
+      const ins = decode(pc, compile_xt);
+      if (ins.target > reach) reach = ins.target;
+      code.push(ins);
+      pc += ins.size;
+    }
+    return code;
+  };
+
+  const render = code => {
+    const begins = new Set();
+    const thens = [];
+    const ending_at = pc => code.find(it => it.pc + it.size === pc && it.text === undefined);
+
+    // Loops first, their branches would read as UNTIL and IF otherwise. A
+    // blank text hides an instruction.
+    for (const [n, ins] of code.entries()) {
+      const prev = code[n - 1];
+      if (ins.target === undefined || prev === undefined) continue;
+
+      if (ins.xt === zbranch_xt && ins.target <= ins.pc && loops[prev.xt] !== undefined) {
+        prev.text = loops[prev.xt];
+        ins.text = "";
+        const start = code.find(it => it.pc + it.size === ins.target);
+        const enter = code[code.indexOf(start) - 1];
+        if (start !== undefined && start.xt === do_xt) {
+          start.text = "DO";
+        } else if (start !== undefined && enter !== undefined && enter.xt === qdo_xt) {
+          enter.text = "?DO";
+          start.text = "";
+        }
+      } else if (ins.xt === branch_xt && ins.target > ins.pc && prev.xt === unloop_xt) {
+        prev.text = "LEAVE";
+        ins.text = "";
+      }
+    }
+
+    for (const ins of code) {
+      if (ins.target === undefined || ins.text !== undefined) continue;
+
+      if (ins.target <= ins.pc) {
+        begins.add(ins.target);
+        ins.text = ins.xt === zbranch_xt ? "UNTIL" : "AGAIN";
+      } else if (ins.xt === zbranch_xt) {
+        // IF ... ELSE ... THEN jumps over an unconditional forward branch
+        // that ends right where the IF lands
+        const other = ending_at(ins.target);
+        ins.text = "IF";
+        if (other !== undefined && other.xt === branch_xt && other.target <= ins.pc) {
+          // BEGIN ... WHILE ... REPEAT leaves through the loop's back branch
+          ins.text = "WHILE";
+          other.text = "REPEAT";
+          begins.add(other.target);
+        } else if (other !== undefined && other.xt === branch_xt && other.target > ins.target) {
+          other.text = "ELSE";
+          thens.push(other.target);
+        } else {
+          thens.push(ins.target);
+        }
       } else {
-        pushds(number);
+        ins.text = `BRANCH +${ins.target - ins.pc}`;
+      }
+    }
+
+    const words = [];
+    const labels = pc => {
+      for (const then of thens) if (then === pc) words.push("THEN");
+      if (begins.has(pc)) words.push("BEGIN");
+    };
+    for (const ins of code) {
+      labels(ins.pc);
+      if (ins.text !== "") words.push(ins.text);
+    }
+    if (code.length > 0) {
+      const last = code[code.length - 1];
+      labels(last.pc + last.size);
+    }
+    return words.join(" ");
+  };
+
+  const see = name => {
+    const header = find(name);
+    if (header < 0) throw new ForthError(THROW_UNDEFINED, "Unknown word: " + name);
+
+    const xt = cfa(header);
+    const codeword = i32[xt >> 2];
+    const immediate = u8[header + CELL] & F_IMMEDIATE ? " IMMEDIATE" : "";
+
+    if (codeword === OP_DOCOL) {
+      return `DEF ${name} ${effect_prefix(xt)}${render(decode_body(xt + 2 * CELL))} END${immediate}`;
+    }
+    if (codeword !== OP_DOVAR && codeword !== OP_DORETURN) {
+      return `# ${name} is a primitive, opcode ${codeword}`;
+    }
+
+    // The data field runs up to the next header, or to HERE for the latest
+    // word. Long ones are cut short.
+    const body = xt + 2 * CELL;
+    let end = i32[HERE_CELL];
+    for (const it of headers()) if (it > xt && it < end) end = it;
+
+    const cells = [];
+    for (let addr = body; addr < end && cells.length < 8; addr += CELL) {
+      cells.push(`${i32[addr >> 2]} ,`);
+    }
+    if (body + 8 * CELL < end) cells.push("...");
+
+    const data = `CREATE ${name} ${cells.join(" ")}`.trimEnd();
+    if (codeword === OP_DOVAR) return data + immediate;
+
+    // RETURN left the defining word's code behind it in the second cell
+    const does = i32[(xt + CELL) >> 2];
+    let owner = 0;
+    for (const it of headers()) if (it < does && it > owner) owner = it;
+    return `${data}${immediate}\nRETURN ${render(decode_body(does))} END  # ${word_name(cfa(owner))}`;
+  };
+
+  // Stack effects
+  //
+  // A ( a b -- c ) comment right after DEF name or { declares the effect of the
+  // definition, and goes into the reserved cell behind its DOCOL. END and }
+  // infer the effect from the compiled code and warn when the two disagree, or
+  // when two paths through the code leave different depths.
+  //
+  // Inference follows both ways out of every 0BRANCH. A primitive has its
+  // effect from EFFECTS, a colon definition the declared one or else what its
+  // own code does, a CREATEd word pushes its address. Whatever calls something
+  // unknown, EXECUTE say, is not checked.
+  const UNBALANCED = "unbalanced";
+  const inferred = new Map();  // code address -> effect, null or UNBALANCED
+
+  const declared = xt => {
+    const cell = i32[(xt + CELL) >> 2];
+    if (i32[xt >> 2] !== OP_DOCOL || (cell & EFFECT_DECLARED) === 0) return null;
+    return { in: cell >> 8 & 0xff, out: cell & 0xff };
+  };
+
+  const infer_at = (from, pushed) => {
+    // Cached, and unknown while it is being inferred, so recursion is too
+    if (!inferred.has(from)) {
+      inferred.set(from, null);
+      inferred.set(from, infer(from, pushed));
+    }
+    const effect = inferred.get(from);
+    return effect === UNBALANCED ? null : effect;
+  };
+
+  const effect_of = xt => {
+    const code = i32[xt >> 2];
+    if (code === OP_DOCOL) return declared(xt) || infer_at(xt + 2 * CELL, 0);
+    if (code === OP_DOVAR) return { in: 0, out: 1 };
+    if (code === OP_DORETURN) return infer_at(i32[(xt + CELL) >> 2], 1);
+    return effects[code] || null;
+  };
+
+  const infer = (from, pushed) => {
+    // The effect of the code from `from` to its EXITs, with `pushed` cells
+    // already on the stack: { in, out }, null or UNBALANCED
+    const compile_xt = prelude_xt("COMPILE");
+    const to_xt = prelude_xt("TO");
+    const activate_xt = primitives.get("(ACTIVATE)");
+
+    const depths = new Map();
+    const todo = [[from, pushed]];
+    let low = 0;
+    let exit = null;
+    while (todo.length > 0) {
+      let [pc, depth] = todo.pop();
+      while (!depths.has(pc)) {
+        if (pc < 0 || pc >= i32[HERE_CELL]) return null;
+        depths.set(pc, depth);
+
+        const ins = i32[pc >> 2];
+        const operand = i32[(pc + CELL) >> 2];
+        if (ins === exit_xt || ins === activate_xt) {
+          // (ACTIVATE) takes the task and returns, the rest runs in the task
+          const left = ins === exit_xt ? depth : depth - 1;
+          low = Math.min(low, left);
+          if (exit !== null && exit !== left) return UNBALANCED;
+          exit = left;
+          break;
+        }
+        if (ins === branch_xt) {
+          pc = operand;
+          continue;
+        }
+
+        let effect;
+        if (ins === lit_xt) effect = { in: 0, out: 1 };
+        else if (ins === zbranch_xt) effect = { in: 1, out: 0 };
+        else if (ins === locals_xt) effect = { in: i32[(pc + 2 * CELL) >> 2], out: 0 };
+        else if (ins === local_xt && i32[(pc - CELL) >> 2] === to_xt) effect = { in: 1, out: 0 };
+        else if (ins === local_xt) effect = { in: 0, out: 1 };
+        else if (ins === js_call_xt) effect = foreign_effect(functions[operand]);
+        else effect = effect_of(ins);
+        if (effect === null) return null;
+
+        low = Math.min(low, depth - effect.in);
+        depth += effect.out - effect.in;
+        if (ins === zbranch_xt) todo.push([operand, depth]);
+        pc += size_of(pc, compile_xt);
       }
+      if (depths.get(pc) !== depth) return UNBALANCED;
+    }
+    // 0 - low, as -low would make -0 of no inputs and the data stack would
+    // hold doubles from then on
+    return exit === null ? null : { in: 0 - low, out: exit - low };
+  };
+
+  const foreign_effect = ({ args, results }) => {
+    // floats go to the float stack, strings and arrays take two cells
+    const size = type => type === "f" ? 0 : type === "s" || type.endsWith("[]") ? 2 : 1;
+    const cells = types => types.reduce((n, type) => n + size(type), 0);
+    return { in: cells(args), out: cells(results) };
+  };
+
+  const check_effect = xt => {
+    const effect = declared(xt);
+    if (effect === null) return;
+
+    const actual = infer(xt + 2 * CELL, 0);
+    const name = header_of(xt) > 0 ? word_name(xt) : "Quotation";
+    const where = `${token.name}:${token.line}:${token.column}: warning: ${name} ${effect_text(effect)}`;
+    if (actual === UNBALANCED) {
+      error(`${where} leaves different depths on different paths\n`);
+    } else if (actual !== null) {
+      // the net effect must match, and the code may not dig deeper than declared
+      const net = actual.out - actual.in === effect.out - effect.in;
+      if (!net || actual.in > effect.in) error(`${where} does ${effect_text(actual)}\n`);
+    }
+  };
+
+  defcode("(", F_IMMEDIATE, (ip, np) => {
+    // ( comment ) up to the closing paren. At the start of a definition or a
+    // quotation, a data stack effect is declared as well.
+    const effect = parse_effect(parse_until(")"));
+    const xt = i32[HERE_CELL] - 2 * CELL;
+    const fresh = i32[STATE] !== 0 && i32[xt >> 2] === OP_DOCOL && (i32[(xt + CELL) >> 2] & EFFECT_DECLARED) === 0;
+    const owned = (defining !== null && cfa(i32[LATEST_CELL]) === xt) || quoting[quoting.length - 1] === xt;
+    if (effect !== null && fresh && owned) {
+      touch(xt + CELL, CELL);
+      i32[(xt + CELL) >> 2] |= EFFECT_DECLARED | effect.in << 8 | effect.out;
+    }
+    return next1(np);
+  });
+  defcode("(END-QUOTATION)", 0, (ip, np) => {
+    // ( xt -- ) the quotation is compiled, warn if the code disagrees with the
+    // declared effect
+    const xt = popds();
+    if (quoting[quoting.length - 1] === xt) quoting.pop();
+    check_effect(xt);
+    return next1(np);
+  });
+  defcode("STACK-EFFECT", 0, (ip, np) => {
+    // ( xt -- in out true | false ) what the code does, declared or not
+    const xt = popds();
+    const effect = i32[xt >> 2] === OP_DOCOL ? infer(xt + 2 * CELL, 0) : effect_of(xt);
+    if (effect === null || effect === UNBALANCED) {
+      pushds(FALSE);
     } else {
-      throw new Error("Unknown word: " + word);
+      pushds(effect.in);
+      pushds(effect.out);
+      pushds(TRUE);
+    }
+    return next1(np);
+  });
+
+  const save_image = () => {
+    const names = functions.map(it => it.name);
+    const meta = new TextEncoder().encode(JSON.stringify({ cell: CELL, primitives: opnames, functions: names }));
+    const here = i32[HERE_CELL];
+    const bytes = new Uint8Array(3 * CELL + meta.length + here);
+    const view = new DataView(bytes.buffer);
+
+    for (let i = 0; i < IMAGE_MAGIC.length; i++) bytes[i] = IMAGE_MAGIC.charCodeAt(i);
+    view.setInt32(CELL, IMAGE_VERSION, true);
+    view.setInt32(2 * CELL, meta.length, true);
+    bytes.set(meta, 3 * CELL);
+    bytes.set(u8.subarray(0, here), 3 * CELL + meta.length);
+    return bytes;
+  };
+
+  const load_image = bytes => {
+    // An image only makes sense on a machine with the same primitives under the
+    // same opcodes, host primitives included.
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(...bytes.subarray(0, IMAGE_MAGIC.length));
+    if (magic !== IMAGE_MAGIC) throw new Error("Not a dictionary image");
+
+    const version = view.getInt32(CELL, true);
+    if (version !== IMAGE_VERSION) throw new Error(`Unsupported image version ${version}`);
+
+    const length = view.getInt32(2 * CELL, true);
+    const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(3 * CELL, 3 * CELL + length)));
+    const same_primitives = meta.cell === CELL && meta.primitives.length === opnames.length &&
+      meta.primitives.every((name, op) => name === opnames[op]);
+    if (!same_primitives) throw new Error("Image was built against a different primitive set");
+    const missing = (meta.functions || []).find((name, index) => functions[index]?.name !== name);
+    if (missing !== undefined) throw new Error(`Image calls JS function ${missing}, registered differently here`);
+
+    const data = bytes.subarray(3 * CELL + length);
+    if (data.length > heapSize) throw new Error(`Image needs ${data.length} bytes of heap`);
+
+    discard();
+    u8.fill(0);
+    u8.set(data);
+    reindex();
+    prelude_words.clear();
+    defining = null;
+    quoting.length = 0;
+    inferred.clear();
+    for (const addr of tasks.keys()) if (addr !== 0) tasks.delete(addr);
+  };
+
+  const report = e => {
+    // file:line:column of the last word parsed, the word itself unless the
+    // message names it, and the definition being compiled
+    let text = `${token.name}:${token.line}:${token.column}: ${e.message}`;
+    if (token.word !== "" && !e.message.includes(token.word)) text += `, at ${token.word}`;
+    if (defining !== null) text += `, compiling ${header_name(i32[LATEST_CELL])}`;
+    return text;
+  };
+
+  const recover = (e, at) => {
+    // Unwind to the nearest CATCH. With no CATCH in sight, the outer
+    // interpreter reports the error, resets the machine and discards the rest
+    // of the input. `at` is the instruction that failed.
+    const code = e instanceof ForthError ? e.code : THROW_HOST;
+    const frame = handlers.pop();
+    if (frame !== undefined) {
+      const depth = ds.length;
+      ds.length = frame.ds;
+      ds.fill(0, depth);  // pad with zeros if the word dug below the frame
+      rs.length = frame.rs;
+      fstack.length = Math.min(fstack.length, frame.fs);
+      lp = frame.lp;
+      pushds(code);
+      return next1(frame.np);
+    }
+
+    if (current !== operator) {
+      // the task is done for, the operator goes on from its last PAUSE. The
+      // last word parsed is the operator's, so the report names the failing
+      // word instead.
+      const word = word_name(at);
+      const where = e.message.includes(word) ? "" : `, at ${word}`;
+      if (code !== THROW_ABORT) error(`${e.message}${where}, in task ${task_name(current)}\n`);
+      current.awake = false;
+      current.at = null;
+      return switch_to(operator);
+    }
+
+    if (code !== THROW_ABORT) error(report(e) + "\n");
+    operator.awake = true;
+    if (defining !== null) {
+      // the unfinished definition was never linked, forget it was started
+      i32[HERE_CELL] = defining.here;
+      i32[LATEST_CELL] = defining.latest;
+      defining = null;
+      discard();
+      inferred.clear();
+    }
+    ds.length = 0;
+    rs.length = 0;
+    fstack.length = 0;
+    lp = -1;
+    locals = null;
+    quoting.length = 0;
+    // ONLY FORTH DEFINITIONS, so a broken search order does not outlive the error
+    i32[CONTEXT] = FORTH;
+    i32[ORDER_DEPTH] = 0;
+    i32[CURRENT] = FORTH;
+    sources.length = 0;
+    i32[STATE] = 0;
+    picturing = false;
+    return next1(start);
+  };
+
+  // Debugger
+  //
+  // The inner interpreter can print every word it executes, and stop before a
+  // word marked with BREAK. A stopped machine keeps its ip and np in `paused`
+  // and picks up from there on the next run(). The outer interpreter's own
+  // EVALUATE/BRANCH loop is never traced.
+  let tracing = false;
+  let paused = null;
+  const breakpoints = new Set();
+  const evaluate_xt = primitives.get("EVALUATE");
+
+  const is_outer = (ip, np) => ip === evaluate_xt || (ip === branch_xt && np === start + 2 * CELL);
+
+  const where = (ip, np) => {
+    // word about to run, nesting depth (return stack depth) and data stack
+    const depth = rs.length;
+    return `${"  ".repeat(depth)}${word_name(ip)} [${depth}] <${ds.length}> ${ds.join(" ")}`.trimEnd();
+  };
+
+  // Tasks
+  //
+  // Tasks take turns on the one machine: PAUSE saves the running task's stacks,
+  // locals frame, CATCH frames and user area, the registers in USER_REGISTERS,
+  // and carries on with the next awake task. The operator, the task that runs
+  // the outer interpreter, is always there; TASK words name the others, which
+  // are set up by the first ACTIVATE.
+  //
+  // Only PAUSE and STOP switch tasks, so background tasks run while the
+  // operator PAUSEs. An uncaught error stops the task it happened in.
+  const USER_REGISTERS = [STATE, BASE];
+  const TASK_MARK = 0x4b534154;  // "TASK", what the body of a TASK word holds
+
+  const new_task = () => ({
+    ds: [], rs: [], fs: [], lp: -1, handlers: [],
+    user: USER_REGISTERS.map(reg => i32[reg]),
+    at: null,  // [ip, np] to go on with, null once the task is done
+    awake: false,
+  });
+  const operator = new_task();
+  operator.awake = true;
+  const tasks = new Map([[0, operator]]);  // task address -> task
+  let current = operator;
+
+  const switch_to = task => {
+    Object.assign(current, { ds, rs, fs: fstack, lp, handlers });
+    current.user = USER_REGISTERS.map(reg => i32[reg]);
+    ({ ds, rs, fs: fstack, lp, handlers } = task);
+    USER_REGISTERS.forEach((reg, i) => i32[reg] = task.user[i]);
+    current = task;
+    return task.at;
+  };
+
+  const schedule = at => {
+    // Round robin: the next awake task after the current one, which gets its
+    // turn back when it is the only one
+    current.at = at;
+    const list = [...tasks.values()];
+    const from = list.indexOf(current);
+    for (let i = 1; i <= list.length; i++) {
+      const task = list[(from + i) % list.length];
+      if (task.awake) return switch_to(task);
+    }
+    throw new Error("Every task is asleep");
+  };
+
+  const finish = () => {
+    current.awake = false;
+    return schedule(null);
+  };
+
+  const task_at = addr => {
+    const is_task = addr % CELL === 0 && addr >= SYSTEM_CELLS * CELL &&
+      addr < i32[HERE_CELL] && i32[addr >> 2] === TASK_MARK;
+    if (!is_task) throw new ForthError(THROW_INVALID_ADDRESS, `Not a task ${addr}`);
+    if (!tasks.has(addr)) tasks.set(addr, new_task());
+    return tasks.get(addr);
+  };
+
+  const task_name = task => {
+    for (const [addr, it] of tasks) if (it === task) return word_name(addr - 2 * CELL);
+    return "?";
+  };
+
+  defcode("TASK", 0, (ip, np) => {
+    // TASK name ( -- ) a task, asleep until it is ACTIVATEd
+    const word = parse(" ");
+    create(word, 0);
+    i32_comma(OP_DOVAR);
+    i32_comma(0);
+    i32_comma(TASK_MARK);
+    link();
+    return next1(np);
+  });
+  defcode("ACTIVATE", F_IMMEDIATE, (ip, np) => {
+    // The task starts with stacks of its own, where the locals of the
+    // definition are out of reach
+    compile_only();
+    if (locals !== null) throw new Error("ACTIVATE can not be used with locals");
+    i32_comma(primitives.get("(ACTIVATE)"));
+    return next1(np);
+  });
+  defcode("(ACTIVATE)", 0, (ip, np) => {
+    // ( task -- ) the rest of the definition runs in the task, with empty
+    // stacks, while its caller goes on as if the definition ended here
+    const task = task_at(popds());
+    if (rs.length === 0) throw new ForthError(THROW_COMPILE_ONLY, "ACTIVATE only works in a definition");
+    if (task === current) throw new Error("A task can not ACTIVATE itself");
+    Object.assign(task, new_task(), { at: next1(np), awake: true });
+    task.user[USER_REGISTERS.indexOf(BASE)] = 10;
+    if (lp >= 0 && lp === rs.length - 2) unlocal();
+    return resume(poprs());
+  });
+  defcode("PAUSE", 0, (ip, np) => schedule(next1(np)));
+  defcode("STOP", 0, (ip, np) => {
+    // ( -- ) sleep until another task WAKEs this one. Nothing wakes the
+    // operator.
+    if (current === operator) throw new ForthError(THROW_UNSUPPORTED, "The operator can not STOP");
+    current.awake = false;
+    return schedule(next1(np));
+  });
+  defcode("WAKE", 0, (ip, np) => {
+    // ( task -- ) a task that is done stays asleep
+    const task = task_at(popds());
+    if (task.at !== null) task.awake = true;
+    return next1(np);
+  });
+
+  // Closure tier
+  //
+  // With `closures` on, a colon definition is compiled the first time it runs:
+  // the code it can reach becomes one generated Javascript function, with
+  // LIT, BRANCH, 0BRANCH and the straight primitives written out in line.
+  // Other primitives are called directly, and calls to other compiled
+  // definitions nest on the Javascript stack, so none of these go back to
+  // run(). Anything else that moves ip, EXECUTE or THROW say, leaves the
+  // compiled code for run(), and EXIT picks it up again when it returns into
+  // compiled code.
+  //
+  // Primitives are looked up when they run, and a store into a compiled body
+  // throws all compiled code away: 1025 ' 1K >BODY ! and a DEFER retargeted
+  // with TO behave as they do threaded. Tracing, breakpoints and stepping need
+  // to see every instruction and switch back to the threaded interpreter.
+  const compile_body = xt => {
+    // Returns null while the body is still being compiled, false if control
+    // leaves it through a branch
+    const from = xt + 2 * CELL;
+    const here = i32[HERE_CELL];
+    const compile_xt = prelude_xt("COMPILE");
+
+    // Walk the code control can reach, which skips quotation bodies
+    const sizes = new Map();
+    const todo = [from];
+    while (todo.length > 0) {
+      for (let pc = todo.pop(); !sizes.has(pc);) {
+        if (pc >= here) return null;
+        if (pc < from) return false;
+        const ins = i32[pc >> 2];
+        sizes.set(pc, size_of(pc, compile_xt));
+        if (ins === branch_xt || ins === zbranch_xt) todo.push(i32[(pc + CELL) >> 2]);
+        if (ins === branch_xt || ins === exit_xt) break;
+        pc += sizes.get(pc);
+      }
+    }
+
+    const pcs = [...sizes.keys()].sort((a, b) => a - b);
+    const labels = new Map(pcs.map((pc, i) => [pc, i]));
+    const born = generation;
+
+    // Calls and any other word go through ops, one closure each
+    const ops = pcs.map(pc => {
+      const ins = i32[pc >> 2];
+      const after = pc + sizes.get(pc);
+      const next = labels.get(after);
+      const next_xt = i32[after >> 2];
+
+      if (ins === exit_xt) {
+        return () => {
+          if (rs.length === 0 && current !== operator) {
+            leave = finish();
+            return LEFT;
+          }
+          if (lp >= 0 && lp === rs.length - 2) unlocal();
+          exit_np = poprs();
+          return EXITED;
+        };
+      }
+
+      // The code field is checked again when the call runs, and a primitive
+      // that stored into compiled code leaves for run(). A compiled callee is
+      // kept until compiled code is thrown away.
+      let callee = null;
+      return () => {
+        if (i32[ins >> 2] === OP_DOCOL) {
+          if (!callee || callee.born !== generation) callee = body_of(ins);
+          const body = nesting < MAX_NESTING ? callee : null;
+          if (!body) {
+            leave = [ins, pc + CELL];
+            return LEFT;
+          }
+          pushrs(pc + CELL);
+          nesting += 1;
+          const np = body.run(0);
+          nesting -= 1;
+          if (np === LEFT) return LEFT;
+          if (np === after && born === generation && tier) return next;
+          const at = labels.get(np);
+          if (at !== undefined && born === generation && tier) return at;
+          leave = next1(np);
+          return LEFT;
+        }
+
+        // Any other word runs as it would in run(). When it goes on with the
+        // instruction at np - CELL, so can the closures.
+        const fn = table[i32[ins >> 2]];
+        if (typeof fn !== "function") {
+          throw new Error(`Invalid opcode ${i32[ins >> 2]} at ip=${ins} (cell=${ins >> 2})`);
+        }
+        const [ip, np] = fn(ins, pc + CELL);
+        if (born !== generation || !tier) {
+          leave = [ip, np];
+          return LEFT;
+        }
+        if (np === after + CELL && ip === next_xt) return next;
+        const at = labels.get(np - CELL);
+        if (at !== undefined && ip === i32[(np - CELL) >> 2]) return at;
+        leave = [ip, np];
+        return LEFT;
+      };
+    });
+
+    // The body itself is generated Javascript: a loop around a switch with a
+    // case per instruction, which falls through into the next one. LIT, BRANCH
+    // and 0BRANCH are written out in place, and each straight primitive is
+    // called from a site of its own, where the engine can inline it. No [ip, np]
+    // pair is built for any of these.
+    const calls = [];
+    const cases = pcs.map((pc, i) => {
+      const ins = i32[pc >> 2];
+      const operand = i32[(pc + CELL) >> 2];
+      const code = i32[ins >> 2];
+      const op = `at = ops[${i}](); if (at < 0) return at; continue;`;
+      let text = op;
+      if (ins === lit_xt) {
+        text = `pushds(${operand});`;
+      } else if (ins === branch_xt) {
+        text = `at = ${labels.get(operand)}; continue;`;
+      } else if (ins === zbranch_xt) {
+        text = `if (popds() === 0) { at = ${labels.get(operand)}; continue; }`;
+      } else if (ins !== exit_xt && straight[code] !== undefined) {
+        // a store into compiled code leaves for run()
+        calls[i] = straight[code];
+        text = `if (i32[${ins >> 2}] !== ${code}) { ${op} } calls[${i}](); if (stale()) return leave_at(${i + 1});`;
+      }
+      return `      case ${i}: at = ${i}; ${text}`;
+    });
+    const source = `return at => {
+  try {
+    for (;;) {
+      switch (at) {
+${cases.join("\n")}
+      }
     }
+  } catch (e) {
+    fault(at);
+    throw e;
   }
-  return next1(np);
-});
+};`;
+
+    const stale = () => born !== generation;
+    const leave_at = i => {
+      leave = next1(pcs[i]);
+      return LEFT;
+    };
+    const fault = i => {
+      if (fault_xt < 0) fault_xt = i32[pcs[i] >> 2];
+    };
+    const run_code = new Function("i32", "pushds", "popds", "calls", "ops", "stale", "leave_at", "fault", source)(
+      i32, pushds, popds, calls, ops, stale, leave_at, fault);
+
+    // Returns where EXIT went, or LEFT
+    const run_body = index => run_code(index) === EXITED ? exit_np : LEFT;
+
+    const body = { run: run_body, labels, born };
+    const end = pcs[pcs.length - 1] + sizes.get(pcs[pcs.length - 1]);
+    for (const pc of pcs) resume_at.set(pc, body);
+    code_cells.fill(1, xt >> 2, end >> 2);
+    code_low = Math.min(code_low, xt);
+    code_high = Math.max(code_high, end);
+    return body;
+  };
+
+  const body_of = xt => {
+    let body = bodies.get(xt);
+    if (body === undefined) {
+      body = compile_body(xt);
+      if (body !== null) bodies.set(xt, body);
+    }
+    return body;
+  };
+
+  const enter = (body, index) => {
+    // Run compiled code for run(), and follow EXITs into compiled callers
+    nesting = 0;
+    for (;;) {
+      const np = body.run(index);
+      if (np === LEFT) return leave;
+      const caller = tier ? resume_at.get(np) : undefined;
+      if (caller === undefined) return next1(np);
+      body = caller;
+      index = caller.labels.get(np);
+    }
+  };
+
+  const resume = np => {
+    // continue at np, in compiled code if there is some
+    const body = tier ? resume_at.get(np) : undefined;
+    return body === undefined ? next1(np) : enter(body, body.labels.get(np));
+  };
+
+  // Virtual machine memory is bootstraped, start the machine. This is the heart
+  // of the Forth interpreter. Any error, from THROW or from Javascript, goes
+  // through recover().
+  //
+  // run() drives the outer interpreter until it halts, and returns the halt
+  // code. The debugger passes `stop` to pause the machine early; neither it
+  // nor a breakpoint is checked for the instruction a paused machine resumes
+  // with.
+  const run = (stop = null) => {
+    let [ip, np] = paused || next1(start);
+    let resumed = true;
+    paused = null;
+    stepping = stop !== null;
+    retier();
+    do {
+      if (!resumed && (breakpoints.has(ip) || (stop !== null && stop(ip, np)))) {
+        paused = [ip, np];
+        return HALT_BREAK;
+      }
+      resumed = false;
+      if (tracing && !is_outer(ip, np)) write(where(ip, np) + "\n");
+
+      try {
+        const op = i32[ip >> 2];
+        const fn = table[op];
+        if (typeof fn !== "function") {
+          throw new Error(`Invalid opcode ${op} at ip=${ip} (cell=${ip >> 2})`);
+        }
+        [ip, np] = fn(ip, np);
+      } catch (e) {
+        // stack faults (-3 to -6) name the word that ran into them
+        const at = fault_xt >= 0 ? fault_xt : ip;
+        fault_xt = -1;
+        if (e instanceof ForthError && e.code <= THROW_STACK_OVERFLOW && e.code >= THROW_RSTACK_UNDERFLOW) {
+          e.message += ` in ${word_name(at)}`;
+        }
+        [ip, np] = recover(e, at);
+      }
+    } while (ip >= 0);
+    return ip;
+  };
+
+  const step_over = () => {
+    // run until the current word has returned to this nesting depth
+    const depth = rs.length;
+    return run(() => rs.length <= depth);
+  };
+
+  const evaluate = (source, name = "evaluate", line = 1) => {
+    // Interpret source to its end and return the halt code: HALT_INPUT when
+    // the machine waits for more source, HALT_BYE after BYE. Positions in
+    // error reports count lines from `line`.
+    open_source(source, name, line);
+    return run();
+  };
+
+  const vm = {
+    evaluate,
+    push: pushds,
+    pop: popds,
+    depth: () => ds.length,
+    see,
+    dump,
+    saveImage: save_image,
+    // Debugger: all of these return the halt code, HALT_BREAK while paused
+    step: () => run(() => true),
+    stepOver: step_over,
+    resume: () => run(),
+    where: () => paused === null ? null : where(...paused),
+    stacks: () => ({ ds: ds.slice(), rs: rs.slice(), fs: fstack.slice() }),
+    // Inspection, for front ends such as the playground
+    here: () => i32[HERE_CELL],
+    latest: () => i32[LATEST_CELL],
+    peek: (addr, len) => u8.slice(addr, addr + len),
+    words: () => {
+      // Every word of every wordlist, newest first
+      const words = [];
+      for (let wid = i32[VOC_LINK]; wid > 0; wid = i32[wid + 1]) {
+        for (let it = i32[wid]; it > 0; it = i32[it >> 2]) {
+          const flags = u8[it + CELL];
+          words.push({
+            name: header_name(it),
+            wordlist: wordlist_name(wid),
+            header: it,
+            xt: cfa(it),
+            immediate: (flags & F_IMMEDIATE) !== 0,
+            hidden: (flags & F_HIDDEN) !== 0,
+          });
+        }
+      }
+      return words;
+    },
+    // Foreign functions: register(name, "s n -- h", fn), and handles for objects
+    register,
+    handle: to_handle,
+    object: from_handle,
+    release,
+    position: () => token,
+    loadImage: load_image,
+    defcode: (name, flags, fn, effect) => {
+      // Register a host primitive. Unlike the builtins above, fn receives the
+      // machine and talks to it through push/pop; execution continues with the
+      // next instruction once fn returns. effect, "a b -- c" say, is for the
+      // stack-effect checker.
+      defcode(name, flags, (ip, np) => {
+        fn(vm);
+        return next1(np);
+      }, effect);
+    },
+  };
+
+  if (prelude !== null) evaluate(prelude, "boot");
+
+  return vm;
+};
+
+const boot = `
+DEF BL 32 END
+DEF NL 10 END
+
+DEF #
+  NL PARSE DROP DROP
+END IMMEDIATE
+
+# Now can leave comments!
+
+DEF CELL 4 END
+DEF CELL+ CELL + END
+DEF CELL- CELL - END
+DEF CELLS CELL * END
+
+DEF CP 29 CELLS END
+DEF HERE CP @ END
+
+DEF +! SWAP OVER @ + SWAP ! END
+DEF ALLOT CP +! END
+
+DEF , HERE CELL ALLOT ! END
+
+DEF REGISTER
+  CREATE ,
+  RETURN @ CELLS
+END
+32 REGISTER STATE
+
+DEF STATE? STATE @ END
+
+33 REGISTER BASE
+DEF HEX 16 BASE ! END
+DEF DECIMAL 10 BASE ! END
+DEF BINARY 2 BASE ! END
+DEF [
+  0 STATE !
+END IMMEDIATE
+DEF ]
+  1 STATE !
+END IMMEDIATE
+
+# see CONTROL below for more interesting definition
+DEF CR NL EMIT END
+DEF SPACE BL EMIT END
+
+DEF CONTROL
+  CREATE ,
+  RETURN @ EMIT
+END
+
+# NL CONTROL CR
+# BL CONTROL SPACE
+
+DEF PUTS PRINT CR END
+
+DEF 2DUP OVER OVER END
+
+
+DEF NEGATE -1 * END
+
+
+DEF ? @ PUTS END
+
+
+DEF VAR CREATE 0 , END
+
+
+DEF CONST
+  CREATE ,
+  RETURN @
+END
+
+DEF ARRAY
+  CREATE CELLS ALLOT
+  RETURN SWAP CELLS +
+END
+
+
+DEF ' BL PARSE FIND END
+
+
+DEF >BODY 2 CELLS + END
+
+
+DEF COMPILE ?COMP R> DUP @ , CELL+ >R END  # A bit different implementation than in eForth
+
+# The control words leave an address and one of these tags on the stack while
+# compiling. The word resolving the address checks the tag with ?PAIRS, and END
+# checks that nothing is left open.
+-1001 CONST ORIG       # a forward branch to patch: IF ELSE WHILE
+-1002 CONST DEST       # a backward branch target: BEGIN
+-1003 CONST DO-SYS     # DO and ?DO
+-1004 CONST CASE-SYS   # CASE
+-1005 CONST OF-SYS     # OF
+-1006 CONST ENDOF-SYS  # ENDOF
+-1007 CONST QUOTE-SYS  # {
+
+# While IF/THEN/ELSE definitions are not very difficult to understand. I think,
+# I like the PostScript notation more, which uses quotations such as: bool { if
+# true } { if false } ifelse
+DEF IF COMPILE 0BRANCH HERE 0 , ORIG END IMMEDIATE
+DEF THEN ORIG ?PAIRS HERE SWAP ! END IMMEDIATE
+DEF ELSE ORIG ?PAIRS COMPILE BRANCH HERE 0 , SWAP HERE SWAP ! ORIG END IMMEDIATE
+
+DEF ABS
+  DUP 0< IF NEGATE THEN
+END
+
+
+DEF BEGIN ?COMP HERE DEST END IMMEDIATE
+DEF AGAIN DEST ?PAIRS COMPILE BRANCH , END IMMEDIATE
+DEF UNTIL DEST ?PAIRS COMPILE 0BRANCH , END IMMEDIATE
+
+
+DEF ZERO? 0 = END
+DEF != = ZERO? END
+
+
+1 1 = CONST TRUE
+0 1 = CONST FALSE
+
+
+CREATE TO-MESSAGE 1 ,  # VAR TO-MESSAGE 1 TO-MESSAGE ! but shorter
+                       # 0 = TO | 1 = FROM
+DEF TO 0 TO-MESSAGE ! END
+
+DEF VALUE
+  CREATE ,
+  RETURN
+    TO-MESSAGE @ ZERO? IF ! ELSE @ THEN
+    1 TO-MESSAGE !
+END
+
+
+# Deferred action
+DEF LITERAL COMPILE LIT , END IMMEDIATE
+
+DEF POSTPONE ' , END IMMEDIATE
+
+# Quotations: { ... }  -> xt
+# Works at top-level and nested inside DEF.
+# Uses data stack as compile-time control stack.
+DEF {
+  STATE? IF
+    # compiling (nested quote):
+    # runtime: ( -- xt ) then skip body
+    COMPILE LIT
+    HERE DUP 0 , DROP          # litCell (patched to qStart by })
+    COMPILE BRANCH
+    HERE DUP 0 , DROP          # branchCell (patched to after by })
+    (QUOTATION)                # qStart: DOCOL + reserved cell
+    1                          # tag = nested
+  ELSE
+    # interpreting (top-level quote):
+    (QUOTATION)                # xt; emit DOCOL + reserved cell
+    0                          # tag = top-level
+    POSTPONE ]                 # enter compile mode for quote body
+  THEN
+  QUOTE-SYS
+END IMMEDIATE
+
+
+DEF }
+  QUOTE-SYS ?PAIRS
+  COMPILE EXIT
+  OVER (END-QUOTATION)
+  HERE                        # after
+
+  SWAP ZERO? IF               # tag == 0? => top-level close
+    DROP                      # drop 'after', keep xt from '{' on stack
+    POSTPONE [                # back to interpret
+  ELSE
+    # nested close: patch lit and branch
+    # stack: litCell branchCell qStart after
+    >R                        # save after
+    SWAP >R                   # save branchCell (stack: litCell qStart  R: branchCell after)
+    SWAP !                    # *litCell = qStart
+    R> R> SWAP !              # *branchCell = after
+  THEN
+END IMMEDIATE
+
+
+# Like VALUE, but also EXECUTEs the token
+DEF NOOP END
+DEF DEFER
+  CREATE [ ' NOOP ] LITERAL ,
+  RETURN
+    TO-MESSAGE @ ZERO? IF ! ELSE @ EXECUTE THEN
+    1 TO-MESSAGE !
+END
+
+
+DEF ROT >R SWAP R> SWAP END
+DEF -ROT ROT ROT END
+
+# Stack manipulation words could be classified by a tuple { Action, Nth element
+# }. Some words like SWAP and ROT could be represented as dyadic functions: 1
+# SWAP 2 and 1 ROT 3, which is a more generic way of thinking about them.
+#
+# Op      | Action    | Element
+# --------+-----------+--------------------------
+# DROP    | discard   | top element
+# NIP     | discard   | second element
+# SWAP    | move      | second element to the top
+# ROT     | move      | third element to the top
+# DUP     | copy      | top element
+# OVER    | copy      | second element to the top
+
+# Combinators work the same way, except they also carry an additional EXECUTE
+# semantic. For example, a list of Factor-like combinators:
+
+DEF DIP SWAP >R EXECUTE R> END
+
+DEF SIP OVER >R EXECUTE R> END
+
+DEF BI >R SIP R> EXECUTE END
+
+DEF BI* DIP DIP END
+
+DEF BI@ DUP BI* END
+
+DEF 2DROP DROP DROP END
+
+# More control flow
+#
+# WHILE is an IF inside BEGIN, REPEAT jumps back and resolves it
+DEF WHILE DEST ?PAIRS COMPILE 0BRANCH HERE 0 , ORIG ROT DEST END IMMEDIATE
+DEF REPEAT DEST ?PAIRS COMPILE BRANCH , ORIG ?PAIRS HERE SWAP ! END IMMEDIATE
+
+
+# DO ... LOOP keeps the limit and the index on the return stack, so the body
+# must not leave anything on it. LEAVE compiles a forward branch whose cell
+# links to the previous LEAVE of the same loop, and LOOP patches the whole
+# chain once it knows where the loop ends.
+VAR LEAVES
+DEF RESOLVE-LEAVES
+  LEAVES @ BEGIN DUP WHILE DUP @ HERE ROT ! REPEAT DROP
+END
+
+DEF DO ?COMP LEAVES @ 0 LEAVES ! COMPILE (DO) HERE DO-SYS END IMMEDIATE
+DEF ?DO
+  ?COMP LEAVES @ COMPILE (?DO) COMPILE 0BRANCH HERE 0 , LEAVES ! HERE DO-SYS
+END IMMEDIATE
+DEF LOOP
+  DO-SYS ?PAIRS COMPILE (LOOP) COMPILE 0BRANCH , RESOLVE-LEAVES LEAVES !
+END IMMEDIATE
+DEF +LOOP
+  DO-SYS ?PAIRS COMPILE (+LOOP) COMPILE 0BRANCH , RESOLVE-LEAVES LEAVES !
+END IMMEDIATE
+DEF LEAVE COMPILE UNLOOP COMPILE BRANCH HERE LEAVES @ , LEAVES ! END IMMEDIATE
+
+
+# CASE compares the selector with each OF value. The selector is dropped by a
+# matching OF, or by ENDCASE when nothing matched.
+DEF CASE ?COMP CASE-SYS END IMMEDIATE
+DEF OF COMPILE OVER COMPILE = COMPILE 0BRANCH HERE 0 , COMPILE DROP OF-SYS END IMMEDIATE
+DEF ENDOF OF-SYS ?PAIRS COMPILE BRANCH HERE 0 , SWAP HERE SWAP ! ENDOF-SYS END IMMEDIATE
+DEF ENDCASE
+  COMPILE DROP BEGIN DUP ENDOF-SYS = WHILE DROP HERE SWAP ! REPEAT CASE-SYS ?PAIRS
+END IMMEDIATE
+
+
+# Repeat the quotation N times. Keeps the countdown counter on the top of the
+# stack.
+DEF TIMES
+  DUP 0 ?DO
+    OVER EXECUTE
+  1 - LOOP
+  2DROP
+END
+
+
+# Scalars and vectors
+DEF SHAPE @ END
+DEF DATA CELL+ @ END
+DEF FIRST DATA @ END
+
+CREATE [1] HERE , HERE CELL+ , 1 ,
+
+
+DEFER SIZE
+{ SHAPE FIRST } TO SIZE
+
+
+DEF ARRAY2  HERE -ROT , , END
+
+HERE 0 , [1] ARRAY2 CONST [0]
+HERE 1 , [0] ARRAY2 CONST []
+
+
+DEF SCALAR HERE SWAP , [] ARRAY2 END
+
+
+DEF VECTOR HERE SWAP ,  [1] ARRAY2 ARRAY2 END
 
-i32[i32[CURRENT]] = i32[LATEST_CELL];
 
-const start = i32[HERE_CELL];
-i32_comma(cfa(find("EVALUATE")));
-i32_comma(cfa(find("BRANCH")));
-i32_comma(start);
+DEF NEW DUP HERE SWAP CELLS ALLOT SWAP END
 
-const boot = `
-DEF BL 32 END
-DEF NL 10 END
 
-DEF #
-  NL PARSE DROP DROP
-END IMMEDIATE
+# This EACH implementation is very limited. It assumes that the quotation
+# consumes an element from data stack, ( x -- ), and walks the vector from the
+# end.
+DEF 3DROP 2DROP DROP END
+DEF NTH-LAST ( n vector -- element ) DUP SIZE ROT - 1 - CELLS SWAP DATA + @ END
+DEF EACH {: xt vector :}
+  vector SIZE 0 ?DO
+    I vector NTH-LAST xt EXECUTE
+  LOOP
+END
 
-# Now can leave comments!
 
-DEF CELL 4 END
-DEF CELL+ CELL + END
-DEF CELL- CELL - END
-DEF CELLS CELL * END
+# Vocabularies
+#
+# A vocabulary is a CREATEd word holding a wordlist; executing it puts the
+# wordlist on top of the search order. ALSO keeps what was there below it.
+25 REGISTER CONTEXT
+4 CONST FORTH-WORDLIST
+
+DEF VOCABULARY
+  CREATE WORDLIST DROP
+  RETURN CELL / CONTEXT !
+END
 
-DEF CP 29 CELLS END
-DEF HERE CP @ END
 
-DEF +! SWAP OVER @ + SWAP ! END
-DEF ALLOT CP +! END
+# Number bases and pictured output
+#
+# BASE applies to numbers read and printed. Prefixes pick a base for one
+# number: $ hex, # decimal, % binary, and 'c' is a character code.
 
-DEF , HERE CELL ALLOT ! END
+# From here on # also converts a digit between <# and #> in a definition
+DEF #
+  PICTURING? IF COMPILE (#) ELSE NL PARSE DROP DROP THEN
+END IMMEDIATE
 
-DEF REGISTER
-  CREATE ,
-  RETURN @ CELLS
-END
-32 REGISTER STATE
 
-DEF STATE? STATE @ END
-DEF [
-  0 STATE !
-END IMMEDIATE
-DEF ]
-  1 STATE !
-END IMMEDIATE
+# Floating point
+#
+# Floats live on a stack of their own. In memory a float takes two cells, which
+# the words here keep float aligned. A literal needs an exponent, as in 1.5e0,
+# 2E or -3e-2.
+DEF FLOATS 8 * END
+DEF FLOAT+ 8 + END
+DEF FALIGNED 7 + -8 AND END
+DEF FALIGN HERE FALIGNED HERE - ALLOT END
+DEF F, FALIGN HERE F! 1 FLOATS ALLOT END
+
+# The data field of a CREATEd word is only cell aligned, so these skip to the
+# next float the same way F, did
+DEF FVARIABLE CREATE 0 S>F F, RETURN FALIGNED END
+DEF FCONSTANT CREATE F, RETURN FALIGNED F@ END
+
+
+# Files
+#
+# File words leave an ior, 0 on success or a THROW code otherwise
+0 CONST R/O
+1 CONST W/O
+2 CONST R/W
+DEF BIN END  # files are always binary
 
-# see CONTROL below for more interesting definition
-DEF CR NL EMIT END
-DEF SPACE BL EMIT END
 
-DEF CONTROL
-  CREATE ,
-  RETURN @ EMIT
-END
+# Exceptions: CATCH executes an xt and leaves 0, or the code it THROWs with the
+# data stack depth put back as it was
+DEF ABORT -1 THROW END
 
-# NL CONTROL CR
-# BL CONTROL SPACE
 
-DEF PUTS PRINT CR END
+# A definition is not visible until END, RECURSE calls it from inside
+28 REGISTER LATEST
+DEF RECURSE LATEST @ >CFA , END IMMEDIATE
+`;
 
-DEF 2DUP OVER OVER END
+// What the prelude defines, at work: the # => examples and T{ }T tests that
+// --test runs on top of it
+const examples = `
 1 2 2DUP PRINT SPACE PRINT SPACE PRINT SPACE PUTS  # => 2 1 2 1
-
 2 37 + PUTS  # => 39
 
 DEF ADD2 2 + END
 1 ADD2 PUTS  # => 3
-
 DEF ADD3 3 + END
 1 ADD2 ADD3 PUTS  # => 6
-
-DEF NEGATE -1 * END
 5 NEGATE PUTS  # => -5
-
 DEF SCALL ADD3 END
 1 SCALL 5 * PUTS  # => 20
-
-DEF PERCENT 100 * / END
-130 50 PERCENT PUTS  # => 38.4615...
+DEF PERCENT 100 * SWAP / END
+130 50 PERCENT PUTS  # => 38
 
 7 10 - PUTS  # => -3
-5 10 DROP PUTS  # 5
+5 10 DROP PUTS  # => 5
 1 2 SWAP PRINT SPACE PUTS  # => 1 2
 3 4 OVER PRINT SPACE PRINT SPACE PUTS  # => 3 4 3
 5 DUP PRINT SPACE PUTS  # => 5 5
@@ -539,15 +3525,12 @@ HERE PUTS  # => <number>
 CELL ALLOT
 HERE PUTS  # => <number+CELL>
 
-DEF ? @ PUTS END
-
 # TEST ,
 HERE PUTS  # => <number>
 123 ,
 HERE CELL- ?  # => 123
 HERE PUTS  # => <number+CELL>
 
-DEF VAR CREATE 0 , END
 VAR VAR99
 VAR99 PUTS  # => <addr>
 VAR99 ?  # => 0
@@ -558,7 +3541,6 @@ CREATE VAR98 98 ,
 VAR98 ?  # => 98
 97 VAR98 !
 VAR98 ?  # => 97
-
 DEF COUNTER
   CREATE ,
   RETURN DUP 1 SWAP +! @
@@ -581,28 +3563,15 @@ AUTOPK PUTS  # => 2
 # using the same approach (http://www.forth.org/fd/FD-V04N3.pdf) or hashmap
 # (http://c2.com/wiki/remodel/?ExampleForthCode)
 
-DEF CONST
-  CREATE ,
-  RETURN @
-END
 1024 CONST 1K
 1K PUTS  # => 1024
 
-DEF ARRAY
-  CREATE CELLS ALLOT
-  RETURN SWAP CELLS +
-END
-
 30 ARRAY NOVEMBER
 11 5 NOVEMBER !
 5 NOVEMBER ?  # => 11
 
-DEF ' BL PARSE FIND END
 24 ' PUTS EXECUTE  # => 24
-
-' PUTS 8 CELLS DUMP  # => hux dump
-
-DEF >BODY 2 CELLS + END
+' PUTS 8 CELLS DUMP  # => <hex dump>
 
 # Surely, I can change constants, where "2 CELL +" is >BODY
 1024 CONST 1K_DUP
@@ -610,19 +3579,6 @@ DEF >BODY 2 CELLS + END
 1K PUTS  # => 1025
 1K_DUP PUTS  # => 1024
 
-DEF COMPILE R> DUP @ , CELL+ >R END  # A bit different implementation than in eForth
-
-# While IF/THEN/ELSE definitions are not very difficult to understand. I think,
-# I like the PostScript notation more, which uses quotations such as: bool { if
-# true } { if false } ifelse
-DEF IF COMPILE 0BRANCH HERE 0 , END IMMEDIATE
-DEF THEN HERE SWAP ! END IMMEDIATE
-DEF ELSE COMPILE BRANCH HERE 0 , SWAP HERE SWAP ! END IMMEDIATE
-
-DEF ABS
-  DUP 0< IF NEGATE THEN
-END
-
 10 ABS PUTS  # => 10
 -9 ABS PUTS  # => 9
 
@@ -631,16 +3587,8 @@ DEF DUMMYELSE
 END
 10 DUMMYELSE PUTS  # => 1
 
-DEF BEGIN HERE END IMMEDIATE
-DEF AGAIN COMPILE BRANCH , END IMMEDIATE
-DEF UNTIL COMPILE 0BRANCH , END IMMEDIATE
-
 DEF STAR 42 EMIT END
 STAR CR  # => *
-
-DEF ZERO? 0 = END
-DEF != = ZERO? END
-
 DEF STARS
   BEGIN
     STAR
@@ -649,77 +3597,31 @@ DEF STARS
 END
 10 STARS CR  # => **********
 
+TRUE PUTS  # => -1
+FALSE PUTS  # => 0
 
-1 1 = CONST TRUE
-0 1 = CONST FALSE
-TRUE PUTS  # => 1
-
-
-CREATE TO-MESSAGE 1 ,  # VAR TO-MESSAGE 1 TO-MESSAGE ! but shorter
-                       # 0 = TO | 1 = FROM
-DEF TO 0 TO-MESSAGE ! END
+# Cells are 32-bit: arithmetic wraps around and division truncates
+T{ 2147483647 1 + -> -2147483648 }T
+T{ 65536 65536 * -> 0 }T
+T{ 7 2 / -> 3 }T
+T{ -7 2 / -> -3 }T
+T{ -7 2 MOD -> -1 }T
+T{ 7 2 /MOD -> 1 3 }T
+T{ 1000000 1000000 1000 */ -> 1000000000 }T
+T{ 1 2 < -> TRUE }T
+T{ -1 1 U< -> FALSE }T
+T{ 3 5 MIN 3 5 MAX -> 3 5 }T
+T{ %1100 %1010 AND %1100 %1010 OR %1100 %1010 XOR -> 8 14 6 }T
+T{ 0 INVERT 1 4 LSHIFT -1 28 RSHIFT -> -1 16 15 }T
 
-DEF VALUE
-  CREATE ,
-  RETURN
-    TO-MESSAGE @ ZERO? IF ! ELSE @ THEN
-    1 TO-MESSAGE !
-END
 
 12 VALUE APPLES
 APPLES PUTS  # => 12
 34 TO APPLES
 APPLES PUTS  # => 34
 
-
-# Deferred action
-DEF LITERAL
-  STATE? IF COMPILE LIT , THEN
-END IMMEDIATE
-DEF HELLO-LITERAL LITERAL 13 END
-HELLO-LITERAL PUTS
-LITERAL 14 PUTS  # => 14
-
-DEF POSTPONE ' , END IMMEDIATE
-
-# Quotations: { ... }  -> xt
-# Works at top-level and nested inside DEF.
-# Uses data stack as compile-time control stack.
-DEF {
-  STATE? IF
-    # compiling (nested quote):
-    # runtime: ( -- xt ) then skip body
-    COMPILE LIT
-    HERE DUP 0 , DROP          # litCell (patched to qStart by })
-    COMPILE BRANCH
-    HERE DUP 0 , DROP          # branchCell (patched to after by })
-    HERE DUP 0 , 0 , DROP      # qStart: DOCOL + reserved cell
-    1                          # tag = nested
-  ELSE
-    # interpreting (top-level quote):
-    HERE DUP 0 , 0 , DROP      # xt; emit DOCOL + reserved cell
-    0                          # tag = top-level
-    POSTPONE ]                 # enter compile mode for quote body
-  THEN
-END IMMEDIATE
-
-
-DEF }
-  COMPILE EXIT
-  HERE                        # after
-
-  SWAP ZERO? IF               # tag == 0? => top-level close
-    DROP                      # drop 'after', keep xt from '{' on stack
-    POSTPONE [                # back to interpret
-  ELSE
-    # nested close: patch lit and branch
-    # stack: litCell branchCell qStart after
-    >R                        # save after
-    SWAP >R                   # save branchCell (stack: litCell qStart  R: branchCell after)
-    SWAP !                    # *litCell = qStart
-    R> R> SWAP !              # *branchCell = after
-  THEN
-END IMMEDIATE
+DEF HELLO-LITERAL [ 13 ] LITERAL END
+HELLO-LITERAL PUTS  # => 13
 
 { 2 3 * } EXECUTE PUTS  # => 6
 
@@ -735,19 +3637,10 @@ QUOTE EXECUTE PUTS  # => 8
 ANSWER EXECUTE PUTS  # => 42
 
 # which expands to the following code
-HERE 0 , 0 , ] 4 * [ POSTPONE EXIT CONST MULT4
+(QUOTATION) ] 4 * [ POSTPONE EXIT DUP (END-QUOTATION) CONST MULT4
 5 MULT4 EXECUTE PUTS  # => 20
 
 
-# Like VALUE, but also EXECUTEs the token
-DEF NOOP END
-DEF DEFER
-  CREATE COMPILE NOOP
-  RETURN
-    TO-MESSAGE @ ZERO? IF ! ELSE @ EXECUTE THEN
-    1 TO-MESSAGE !
-END
-
 DEFER GREET
 DEF GREET1 99 END
 DEF GREET2 98 END
@@ -759,113 +3652,80 @@ GREET PUTS  # => 99
 GREET PUTS  # => 100
 
 
-DEF ROT >R SWAP R> SWAP END
 1 2 3 ROT PRINT SPACE PRINT SPACE PUTS  # => 1 3 2
-DEF -ROT ROT ROT END
 1 2 3 -ROT PRINT SPACE PRINT SPACE PUTS  # => 2 1 3
 
-# Stack manipulation words could be classified by a tuple { Action, Nth element
-# }. Some words like SWAP and ROT could be represented as dyadic functions: 1
-# SWAP 2 and 1 ROT 3, which is a more generic way of thinking about them.
-#
-# Op      | Action    | Element
-# --------+-----------+--------------------------
-# DROP    | discard   | top element
-# NIP     | discard   | second element
-# SWAP    | move      | second element to the top
-# ROT     | move      | third element to the top
-# DUP     | copy      | top element
-# OVER    | copy      | second element to the top
-
-# Combinators work the same way, except they also carry an additional EXECUTE
-# semantic. For example, a list of Factor-like combinators:
-
-DEF DIP SWAP >R EXECUTE R> END
-3 2 { 7 * } DIP PRINT SPACE PUTS  # => 2 3 7 * = 2 21
-
-DEF SIP OVER >R EXECUTE R> END
-2 { 7 * } SIP PRINT SPACE PUTS  # => 2 2 7 * = 2 14
-
-DEF BI >R SIP R> EXECUTE END
-12 { 3 * } { 4 * } BI PRINT SPACE PUTS  # => 12 4 * 12 3 * = 48 36
-
-DEF BI* DIP DIP END
-2 4 { 3 * } { 5 * } BI* PRINT SPACE PUTS  # => 2 5 * 2 3 * = 20 6
-
-DEF BI@ DUP BI* END
-2 4 { 3 * } BI@ PRINT SPACE PUTS  # => 4 3 * 2 3 * = 12 6
-
-DEF 2DROP DROP DROP END
-
-# Repeat the quotation N times. Keeps the countdown counter on the top of the
-# stack.
-DEF TIMES
-  BEGIN
-    OVER EXECUTE
-  1 - DUP ZERO? UNTIL
-  2DROP
+# 2 3 7 * = 2 21
+3 2 { 7 * } DIP PRINT SPACE PUTS  # => 2 21
+# 2 2 7 * = 2 14
+2 { 7 * } SIP PRINT SPACE PUTS  # => 2 14
+# 12 4 * 12 3 * = 48 36
+12 { 3 * } { 4 * } BI PRINT SPACE PUTS  # => 48 36
+# 2 5 * 2 3 * = 20 6
+2 4 { 3 * } { 5 * } BI* PRINT SPACE PUTS  # => 20 6
+# 4 3 * 2 3 * = 12 6
+2 4 { 3 * } BI@ PRINT SPACE PUTS  # => 12 6
+
+
+# More control flow
+DEF COUNTDOWN BEGIN DUP WHILE DUP PRINT SPACE 1 - REPEAT DROP END
+3 COUNTDOWN CR  # => 3 2 1
+
+DEF SQUARES 0 DO I I * PRINT SPACE LOOP END
+5 SQUARES CR  # => 0 1 4 9 16
+DEF EVENS 0 ?DO I PRINT SPACE 2 +LOOP END
+7 EVENS CR  # => 0 2 4 6
+0 EVENS CR  # => <nothing>
+DEF DOWN 0 SWAP DO I PRINT SPACE -1 +LOOP END
+3 DOWN CR  # => 3 2 1 0
+DEF TABLE 3 1 DO 3 1 DO J I * PRINT SPACE LOOP LOOP END
+TABLE CR  # => 1 2 2 4
+# The first index above n, or -1
+DEF FIRST-OVER -1 -ROT SWAP 0 DO I OVER > IF DROP I SWAP LEAVE THEN LOOP DROP END
+T{ 5 10 FIRST-OVER -> -1 }T
+T{ 20 10 FIRST-OVER -> 11 }T
+
+DEF DIGIT-NAME
+  CASE
+    0 OF S" zero" ENDOF
+    1 OF S" one" ENDOF
+    S" many" ROT
+  ENDCASE
 END
+0 DIGIT-NAME TYPE SPACE 1 DIGIT-NAME TYPE SPACE 7 DIGIT-NAME TYPE CR  # => zero one many
 
 { STAR } 10 TIMES CR  # => **********
 
 { DUP PRINT SPACE } 5 TIMES CR  # => 5 4 3 2 1
 
 
-
 # Scalars and vectors
-DEF SHAPE @ END
-DEF DATA CELL+ @ END
-DEF FIRST DATA @ END
-
-CREATE [1] HERE , HERE CELL+ , 1 ,
-
 [1] PUTS  # => <addr>
-[1] SHAPE PUTS  # => shape of [1] is [1]
+[1] SHAPE PUTS  # => <shape of [1] is [1]>
 [1] DATA PUTS  # => <addr+2 cells>
 [1] FIRST PUTS  # => 1
 
-DEFER SIZE
-{ SHAPE FIRST } TO SIZE
-
-
-DEF ROT >R SWAP R> SWAP END
-1 2 3 ROT PRINT SPACE PRINT SPACE PUTS  # => 1 3 2
-DEF -ROT ROT ROT END
-1 2 3 -ROT PRINT SPACE PRINT SPACE PUTS  # => 2 1 3
-
-DEF ARRAY2  HERE -ROT , , END
-
-HERE 0 , [1] ARRAY2 CONST [0]
-HERE 1 , [0] ARRAY2 CONST []
-
 [0] PUTS  # => <addr>
 [0] SHAPE PUTS  # => <the pointer to [1]>
 [0] FIRST PUTS  # => 0
 [0] SIZE PUTS  # => 1
 
 [] PUTS  # => <addr>
-[] SHAPE PUTS  # => pointer to [0]
+[] SHAPE PUTS  # => <pointer to [0]>
 [] FIRST PUTS  # => 1
 [] SIZE PUTS  # => 0
 
-DEF SCALAR HERE SWAP , [] ARRAY2 END
-
 101 SCALAR CONST SCALAR1
-SCALAR1 SHAPE PUTS  # => pointer to []
+SCALAR1 SHAPE PUTS  # => <pointer to []>
 SCALAR1 FIRST PUTS  # => 101
 SCALAR1 SIZE PUTS  # => 1
 
-DEF VECTOR HERE SWAP ,  [1] ARRAY2 ARRAY2 END
-
 HERE 103 , 107 ,
 2 VECTOR CONST VECTOR1
 VECTOR1 SIZE PUTS  # => 2
 VECTOR1 FIRST PUTS  # => 103
 VECTOR1 DATA CELL+ @ PUTS  # => 107
 
-
-DEF NEW DUP HERE SWAP CELLS ALLOT SWAP END
-
 5 NEW VECTOR CONST VECTOR2
 VECTOR2 SIZE PUTS  # => 5
 VECTOR2 FIRST PUTS  # => <some value from an unassigned memory cell>
@@ -873,49 +3733,438 @@ VECTOR2 FIRST PUTS  # => <some value from an unassigned memory cell>
 109 VECTOR2 DATA !
 VECTOR2 FIRST PUTS  # => 109
 
-# This EACH implementation is very limited. It assumes that the quotation
-# consumes an element from data stack. Otherwise, the application could enter
-# the infinite loop. On top of that, it does redundant stack shuffling. If I had
-# local variables, the implementation could be simplified.
-DEF 3DROP 2DROP DROP END
-DEF EACH
-  DUP -ROT SIZE  # vector xt size
-  BEGIN
-    >R OVER DATA
-    R> DUP >R 1 - CELLS + @
-    OVER EXECUTE R>
-  1 - DUP ZERO? UNTIL
-  3DROP
-END
-
 HERE 113 , 127 , 2 VECTOR CONST VECTOR3
 { PRINT SPACE } VECTOR3 EACH CR  # => 127 113
 
 
-# Simple locals
-0 VALUE HELLO-NAME
-DEF HELLO
-  TO HELLO-NAME
-  HELLO-NAME PUTS
+# Strings
+S" hello" TYPE CR  # => hello
+DEF GREETING ." Hello, " TYPE ." !" CR END
+S" world" GREETING  # => Hello, world!
+C" counted" COUNT TYPE CR  # => counted
+S" hello" 2 /STRING TYPE CR  # => llo
+T{ S" abc" S" abd" COMPARE S" b" S" a" COMPARE S" ab" S" ab" COMPARE -> -1 1 0 }T
+T{ S" hello world" S" wor" SEARCH ROT DROP -> 5 TRUE }T
+T{ S" abc  " -TRAILING SWAP DROP -> 3 }T
+
+CREATE LABEL 8 ALLOT
+LABEL 8 42 FILL
+S" abc" LABEL SWAP CMOVE
+LABEL 8 TYPE CR  # => abc*****
+
+# A counted string holds up to 255 characters
+DEF LONGEST S" ${"-".repeat(255)}" END
+T{ LONGEST SWAP DROP -> 255 }T
+' S" CATCH ${"-".repeat(256)}" PUTS  # => -18
+
+
+# Vocabularies
+VOCABULARY APP
+ALSO APP DEFINITIONS
+DEF SIZE 42 END  # shadows SIZE from the prelude, but only inside APP
+SIZE PUTS  # => 42
+ORDER  # => APP FORTH  CURRENT: APP
+PREVIOUS DEFINITIONS
+VECTOR1 SIZE PUTS  # => 2
+ORDER  # => FORTH  CURRENT: FORTH
+
+T{ S" SIZE" FORTH-WORDLIST SEARCH-WORDLIST SWAP DROP -> -1 }T
+T{ S" IF" FORTH-WORDLIST SEARCH-WORDLIST SWAP DROP -> 1 }T
+T{ S" NOPE" FORTH-WORDLIST SEARCH-WORDLIST -> 0 }T
+
+# What the compiler lays down does not depend on the search order
+VOCABULARY SHADOWS
+ALSO SHADOWS DEFINITIONS
+DEF LIT 99 END
+DEF TWELVE 12 END
+T{ TWELVE -> 12 }T
+PREVIOUS DEFINITIONS
+
+# FORTH and ONLY are always found, even once a vocabulary executed without ALSO
+# has replaced FORTH in the search order
+SHADOWS FORTH ORDER  # => FORTH  CURRENT: FORTH
+
+
+# Number bases and pictured output
+HEX FF PUTS DECIMAL  # => FF
+BINARY 101 PUTS DECIMAL  # => 101
+$FF #10 %101 'A' . . . . CR  # => 65 5 10 255
+HEX 0b1 PUTS DECIMAL  # => B1
+-1 U. CR  # => 4294967295
+7 3 .R 42 4 .R CR  # => 7  42
+
+DEF .HEX2 BASE @ >R HEX <# # # #> TYPE R> BASE ! END
+10 .HEX2 CR  # => 0A
+SEE .HEX2  # => DEF .HEX2 BASE @ >R HEX <# # # #> TYPE R> BASE ! END
+DEF .SIGNED DUP ABS <# #S SWAP SIGN #> TYPE END
+-123 .SIGNED CR  # => -123
+DEF .TIME 60 /MOD <# SWAP # # DROP ':' HOLD #S #> TYPE END
+125 .TIME CR  # => 2:05
+T{ 0 <# #S #> SWAP DROP -> 1 }T
+DEF UNFINISHED <# END  # an unfinished picture does not outlive its definition
+
+
+# Floating point
+1.5e0 2.25e0 F+ F. CR  # => 3.75
+2e FSQRT F. CR  # => 1.4142135623730951
+1e FEXP F. CR  # => 2.718281828459045
+7 S>F 2e F/ F. CR  # => 3.5
+-7.9e0 F>S PUTS  # => -7
+
+FVARIABLE PRICE
+19.99e0 PRICE F!
+PRICE F@ F. CR  # => 19.99
+
+# Any cell aligned address will do, ODD is one that is not float aligned
+CREATE SEVENS 7 , 7 , 7 , 7 , 7 ,
+DEF ODD SEVENS CELL+ DUP 4 AND ZERO? IF CELL+ THEN END
+1.5e0 ODD F!
+ODD F@ F. CR  # => 1.5
+T{ ODD CELL- @ ODD 2 CELLS + @ -> 7 7 }T
+3.14159e0 FCONSTANT PI
+DEF CIRCLE-AREA FDUP F* PI F* END
+2e CIRCLE-AREA F. CR  # => 12.56636
+T{ 0e FSIN F0= 1e 2e F< FDEPTH -> -1 -1 0 }T
+SEE CIRCLE-AREA  # => DEF CIRCLE-AREA FDUP F* PI F* END
+
+
+# Javascript
+#
+# JS-CALL name calls a function the host registered with a signature. Strings
+# travel as addr len, Javascript objects as handles, which whoever gets one
+# releases with JS-RELEASE.
+S" hello" JS-CALL upper TYPE CR  # => HELLO
+S" key=value" S" =" JS-CALL split TYPE SPACE TYPE CR  # => value key
+S" [10, 20, 30]" JS-CALL json CONST SCORES
+SCORES S" 1" JS-CALL get DUP JS-CALL number F. JS-RELEASE CR  # => 20
+SCORES S" length" JS-CALL get DUP JS-CALL string TYPE JS-RELEASE CR  # => 3
+DEF COIN JS-CALL random 0.5e0 F< END
+T{ COIN DUP ZERO? OR -> -1 }T
+SEE COIN  # => DEF COIN JS-CALL random 5e-1 F< END
+
+
+# Files
+SCORES JS-RELEASE
+
+
+S" no-such-file" R/O OPEN-FILE PUTS DROP  # => -38
+# Unit tests compare stack results, T{ code -> expected results }T, and report
+# a mismatch with the line it happened on
+T{ 1 2 + -> 3 }T
+T{ 3 4 OVER -> 3 4 3 }T
+
+
+# Exceptions
+T{ 12 { 3 * } { 4 * } BI -> 36 48 }T
+{ 1 2 + } CATCH PRINT SPACE PUTS  # => 0 3
+7 { 1 2 42 THROW } CATCH PRINT SPACE PUTS  # => 42 7
+{ TRUE ABORT" boom" } CATCH PUTS  # => -2
+{ ABORT } CATCH PUTS  # => -1
+
+# Control words refuse to run outside a definition, and check the item they
+# resolve was left by the right word
+' IF CATCH PUTS  # => -14
+' LITERAL CATCH PUTS  # => -14
+DEF COMPILING 1 STATE ! CATCH 0 STATE ! END
+ORIG DEST ' ?PAIRS COMPILING PUTS 2DROP  # => -22
+T{ 5 ORIG ORIG ' ?PAIRS COMPILING -> 5 0 }T
+# Checked mode only EXECUTEs code fields and quotations, not say a zeroed cell
+
+# that would run as DOCOL until the return stack overflows
+DEF RUN-ZEROED HERE 0 , 0 , 0 , { EXECUTE } CATCH SWAP DROP END
+DEF TRY-ZEROED CHECKED? IF RUN-ZEROED ELSE -9 THEN END
+T{ TRY-ZEROED 3 { 1 + } { EXECUTE } CATCH -> -9 4 0 }T
+# Locals
+
+
+#
+# {: a b | c -- comment :} at the start of a definition takes a and b off the
+# data stack, c starts at zero. They live in a frame on the return stack, so
+# every call, recursive or not, gets its own, and TO assigns them like VALUEs.
+DEF HELLO {: name :}
+  name PUTS
 END
 
 20 HELLO  # => 20
 
+DEF FACTORIAL {: n :} n 2 < IF 1 ELSE n 1 - RECURSE n * THEN END
+T{ 5 FACTORIAL -> 120 }T
+DEF SUM-TO {: n | sum -- total :} n 1 + 1 ?DO sum I + TO sum LOOP sum END
+T{ 4 SUM-TO -> 10 }T
+DEF CLAMP {: n limit :} n limit > IF limit EXIT THEN n END
+T{ 5 3 CLAMP 2 3 CLAMP RDEPTH -> 3 2 0 }T
+
+# A quotation sees the locals of the definition around it
+DEF SCALE-ALL {: factor :} { factor * PRINT SPACE } VECTOR3 EACH END
+3 SCALE-ALL CR  # => 381 339
+SEE CLAMP  # => DEF CLAMP {: n limit :} n limit > IF limit EXIT THEN n END
+# Stack effects
+#
+# ( a b -- c ) right after DEF name, or after {, declares what the code does to
+# the data stack. END and } check the compiled code against it and warn when
+# they disagree. Anywhere else ( is a comment up to the ).
+DEF CUBE ( n -- n*n*n ) DUP DUP * * END
+SEE CUBE  # => DEF CUBE ( x -- x ) DUP DUP * * END
+T{ ' CUBE STACK-EFFECT -> 1 1 TRUE }T
+T{ ' ROT STACK-EFFECT ' CLAMP STACK-EFFECT -> 3 3 TRUE 2 1 TRUE }T
+T{ ' DIGIT-NAME STACK-EFFECT -> 1 2 TRUE }T  # through every branch of the CASE
+T{ ' EACH STACK-EFFECT -> FALSE }T  # nobody knows what EXECUTE does
+{ ( x -- ) PRINT SPACE } VECTOR3 EACH CR  # => 127 113
+
+# Tasks
+#
+# TASK name makes a task. ACTIVATE in a definition hands the rest of it to the
+# task, with stacks of its own, and returns to the caller. Tasks run in turns:
+# PAUSE lets the next awake task run, STOP sleeps until another task WAKEs this
+# one. STATE and BASE belong to each task.
+DEF TICKS ( n -- ) 0 ?DO PAUSE LOOP END
+VAR TALLY
+TASK COUNTING
+DEF START-COUNTING COUNTING ACTIVATE BEGIN 1 TALLY +! STOP AGAIN END
+START-COUNTING 1 TICKS TALLY @ PUTS  # => 1
+T{ ' START-COUNTING STACK-EFFECT -> 0 0 TRUE }T  # the caller only sees up to ACTIVATE
+COUNTING WAKE 1 TICKS TALLY @ PUTS  # => 2
+1 TICKS TALLY @ PUTS  # => 2
+TASK SHOUTING
+DEF START-SHOUTING SHOUTING ACTIVATE HEX 255 PRINT SPACE END
+START-SHOUTING 1 TICKS 255 PUTS  # => FF 255
+{ 5 WAKE } CATCH PUTS  # => -9
+{ STOP } CATCH PUTS  # => -21
+
+# One task fills a mailbox, the other empties it
+VAR MAILBOX
+TASK PRODUCER
+TASK CONSUMER
+DEF START-PRODUCER PRODUCER ACTIVATE 4 1 DO BEGIN MAILBOX @ WHILE PAUSE REPEAT I MAILBOX ! LOOP END
+DEF START-CONSUMER CONSUMER ACTIVATE 3 0 DO BEGIN MAILBOX @ ZERO? WHILE PAUSE REPEAT MAILBOX @ PRINT SPACE 0 MAILBOX ! LOOP END
+START-PRODUCER START-CONSUMER 8 TICKS CR  # => 1 2 3
+`;
+
+// Checks for warnings and error reports, apart from the prelude so that
+// machines boot quietly. --test runs them on top of it.
+const warnings = `
+# A declared stack effect the code does not keep warns at END and }
+DEF SQUARED ( n -- n ) DUP DUP * END  # => <at>: warning: SQUARED ( x -- x ) does ( x -- x x )
+{ ( a b -- a ) + DROP } DROP  # => <at>: warning: Quotation ( x x -- x ) does ( x x -- )
+
+# A task that fails is reported with the word it failed in
+TASK FAILING
+DEF START-FAILING FAILING ACTIVATE 1 0 / END
+START-FAILING PAUSE  # => Division by zero, at /, in task FAILING
+`;
+
+// Checks for the console words. --test types "hi" and a line break for them.
+const console_words = `
+T{ KEY? KEY KEY? -> TRUE 104 TRUE }T
+CREATE ANSWER 8 ALLOT
+T{ ANSWER 8 ACCEPT ANSWER C@ KEY? KEY -> 1 105 FALSE -1 }T
+`;
 
-BYE
+// Checks for the file words. --test runs them on a file system in memory, so
+// they never touch the disk.
+const file_words = `
+# A round trip through a scratch file
+VAR SCRATCH
+CREATE SCRATCH-LINE 16 ALLOT
+DEF SCRATCH-NAME S" scratch.txt" END
+T{ SCRATCH-NAME W/O CREATE-FILE SWAP SCRATCH ! -> 0 }T
+T{ S" first" SCRATCH @ WRITE-LINE S" second" SCRATCH @ WRITE-LINE -> 0 0 }T
+T{ SCRATCH @ FILE-SIZE SCRATCH @ FILE-POSITION -> 13 0 13 0 }T
+T{ 6 SCRATCH @ REPOSITION-FILE -> 0 }T
+T{ SCRATCH-LINE 16 SCRATCH @ READ-LINE -> 6 TRUE 0 }T
+SCRATCH-LINE 6 TYPE CR  # => second
+T{ SCRATCH-LINE 16 SCRATCH @ READ-LINE -> 0 FALSE 0 }T
+T{ SCRATCH @ CLOSE-FILE SCRATCH-NAME DELETE-FILE -> 0 0 }T
+T{ SCRATCH-NAME R/O OPEN-FILE SWAP DROP -> -38 }T
 `;
 
-const $buffer = boot[Symbol.iterator]();
-
-// Virtual machine memory is bootstraped, start the machine. This is the heart
-// of the Forth interpreter. Caveat: no error handling, a jump to an invalid
-// instruction will crash the interpreter.
-let [ip, np] = next1(start);
-do {
-  const op = i32[ip >> 2];
-  const fn = table[op];
-  if (typeof fn !== "function") {
-    throw new Error(`Invalid opcode ${op} at ip=${ip} (cell=${ip >> 2})`);
+// Test runner
+//
+// A `# => expected` comment asserts the output printed while its line is
+// interpreted. Trailing blanks are ignored and <anything in brackets> matches
+// any text, for values such as addresses that change from build to build.
+// Errors and warnings count as failures too, unless their line expects them;
+// so do failed T{ -> }T tests. Errors from the prelude a source runs on are
+// shown, but they are not failures of that source.
+const expectations = source => {
+  const expected = new Map();  // line -> expected output
+  source.split("\n").forEach((text, i) => {
+    const match = text.match(/#\s*=>(.*)$/);
+    if (match !== null) expected.set(i + 1, match[1].trim());
+  });
+  return expected;
+};
+
+const matches = (expected, actual) => {
+  const parts = expected.split(/<[^>]*>/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${parts.join("[\\s\\S]*")}$`).test(actual);
+};
+
+const test = (source, name, options = {}) => {
+  // Interpret source on a fresh machine and return the number of failures.
+  // The boot prelude tests itself on a bare machine.
+  const checks = expectations(source);
+  const output = new Map();
+  let capturing = false;
+  let failures = 0;
+
+  const record = text => {
+    // Whether text went to the output of a line of the source
+    if (!capturing || vm.position().name !== name) return false;
+    const { line } = vm.position();
+    output.set(line, (output.get(line) || "") + text);
+    return true;
+  };
+
+  const vm = createForth({
+    read: () => "",  // no console input, so tests never wait on stdin
+    ...options,
+    prelude: name === "boot" ? null : boot,
+    write: record,
+    error: text => {
+      // the machine is still booting while not capturing
+      if (capturing && checks.has(vm.position().line) && record(text)) return;
+      if (capturing) failures += 1;
+      process.stderr.write(text);
+    },
+  });
+
+  capturing = true;
+  vm.evaluate(source, name);
+
+  for (const [line, expected] of checks) {
+    const printed = output.get(line) || "";
+    const actual = printed.split("\n").map(text => text.trimEnd()).join("\n").trim();
+    if (!matches(expected, actual)) {
+      failures += 1;
+      process.stderr.write(`${name}:${line}: expected "${expected}", got "${actual}"\n`);
+    }
+  }
+
+  process.stdout.write(`${name}: ${checks.size} checks, ${failures} failures\n`);
+  return failures;
+};
+
+// Command line: boot the prelude, interpret files given as arguments in
+// order, then keep reading from stdin until BYE or the end of input.
+//
+//   node forth00.js [--checked] [--image=file] [file ...]
+//   node forth00.js --test [file ...]
+//
+// With --image the dictionary comes from a file written by SAVE-IMAGE and the
+// boot prelude is skipped. --test runs the files, or the prelude, its examples
+// and the other checks when there are none, through the test runner instead.
+const main = () => {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith("--"));
+
+  const checked = args.includes("--checked");
+  const closures = args.includes("--closures");
+
+  if (args.includes("--test")) {
+    const suites = files.length > 0
+      ? files.map(file => [fs.readFileSync(file, "utf8"), file])
+      : [
+        [boot, "boot"],
+        [examples, "examples"],
+        [warnings, "warnings"],
+        [console_words, "console", { read: typed("hi\n") }],
+        [file_words, "files", { fileSystem: memory_fs() }],
+      ];
+    const failures = suites.reduce((sum, [source, name, options]) => sum + test(source, name, { checked, closures, ...options }), 0);
+    process.exitCode = failures > 0 ? 1 : 0;
+    return;
   }
-  [ip, np] = fn(ip, np);
-} while (ip >= 0);
+
+  const image = args.find(arg => arg.startsWith("--image="));
+
+  // Node is only reachable from the command line
+  const foreign = {
+    "env": ["s -- s", name => process.env[name] || ""],
+    "cwd": ["-- s", () => process.cwd()],
+  };
+  // Lines readline has read from stdin and the machine has not seen yet. KEY
+  // and ACCEPT take from them first, so they see what readline buffered.
+  const queue = [];
+  let lines = 0;  // read from stdin, for error positions
+  const read = wait => {
+    if (queue.length === 0) return read_stdin(wait);
+    lines += 1;
+    return queue.shift() + "\n";
+  };
+
+  const vm = createForth({ checked, closures, foreign, read, prelude: image === undefined ? boot : null });
+  if (image !== undefined) vm.loadImage(fs.readFileSync(image.substring("--image=".length)));
+
+  const interactive = process.stdin.isTTY === true;
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: interactive,
+  });
+  const pending = files.slice();
+  let halted = false;
+  let debugging = false;
+
+  const settle = code => {
+    // The machine stopped: enter the debugger at a breakpoint, quit on BYE,
+    // otherwise go on with the next file
+    debugging = code === HALT_BREAK;
+    if (debugging) {
+      process.stdout.write(`${vm.where()}\ndebug> `);
+    } else if (code === HALT_BYE) {
+      halted = true;
+      rl.close();
+    } else if (pending.length > 0) {
+      const file = pending.shift();
+      settle(vm.evaluate(fs.readFileSync(file, "utf8"), file));
+    }
+  };
+
+  const debug = line => {
+    // s(tep) into, n(ext) over, c(ontinue), .s for the stacks, dump addr len
+    const [command, ...operands] = line.trim().split(/\s+/);
+    if (command === "s" || command === "step") return settle(vm.step());
+    if (command === "n" || command === "next") return settle(vm.stepOver());
+    if (command === "c" || command === "continue") return settle(vm.resume());
+
+    if (command === ".s") {
+      const { ds, rs, fs } = vm.stacks();
+      process.stdout.write(`ds <${ds.length}> ${ds.join(" ")}\nrs <${rs.length}> ${rs.join(" ")}\n`);
+      if (fs.length > 0) process.stdout.write(`fs <${fs.length}> ${fs.join(" ")}\n`);
+    } else if (command === "dump") {
+      const [addr, len = 64] = operands.map(Number);
+      process.stdout.write(vm.dump(addr, len) + "\n");
+    } else if (command !== "") {
+      process.stdout.write("s(tep), n(ext), c(ontinue), .s, dump addr [len]\n");
+    }
+    process.stdout.write("debug> ");
+  };
+
+  const drain = () => {
+    // readline may still deliver lines buffered before BYE closed it
+    while (queue.length > 0 && !halted) {
+      const line = queue.shift();
+      lines += 1;
+      if (debugging) {
+        debug(line);
+      } else {
+        settle(vm.evaluate(line, "stdin", lines));
+        if (!debugging && !halted && interactive) process.stdout.write(" ok\n");
+      }
+    }
+  };
+
+  // readline hands over a chunk of input a line at a time, the lines are
+  // interpreted once it has queued them all
+  rl.on("line", line => {
+    if (queue.push(line) === 1) setImmediate(drain);
+  });
+
+  settle(HALT_INPUT);
+};
+
+if (node) {
+  module.exports = { createForth, boot, ForthError, CELL, HALT_BYE, HALT_INPUT, HALT_BREAK };
+  if (require.main === module) main();
+}
@@ -0,0 +1,131 @@
+// Browser playground
+//
+// Wires a machine from forth00.js to the page in index.html: the editor runs
+// through evaluate(), EMIT and PRINT land in the console, and after every run
+// the stack, dictionary and memory panels are redrawn from the machine.
+// createPlayground() only talks to the document it is given.
+const ROW = 16;  // Bytes per row of the memory panel
+const ROWS = 16;  // Rows shown at a time
+
+const hex = (n, width) => n.toString(16).toUpperCase().padStart(width, "0");
+
+const createPlayground = (document, createForth) => {
+  const $ = id => document.getElementById(id);
+  const source = $("source");
+  const output = $("output");
+  const stacks = $("stacks");
+  const words = $("words");
+  const memory = $("memory");
+  const address = $("address");
+
+  const element = (tag, text, className) => {
+    const it = document.createElement(tag);
+    if (text !== undefined) it.textContent = text;
+    if (className !== undefined) it.className = className;
+    return it;
+  };
+
+  const print = (text, className) => {
+    output.appendChild(element("span", text, className));
+    output.scrollTop = output.scrollHeight;
+  };
+
+  let vm = null;
+
+  const show_stacks = () => {
+    const { ds, rs, fs } = vm.stacks();
+    stacks.textContent = "";
+    for (const [name, cells] of [["ds", ds], ["rs", rs], ["fs", fs]]) {
+      const row = element("div", `${name} <${cells.length}> `);
+      for (const cell of cells) row.appendChild(element("span", String(cell), "cell"));
+      stacks.appendChild(row);
+    }
+  };
+
+  const show_words = () => {
+    words.textContent = "";
+    for (const word of vm.words()) {
+      const flags = [word.immediate ? "IMMEDIATE" : "", word.hidden ? "HIDDEN" : ""].filter(Boolean);
+      const row = element("li");
+      row.appendChild(element("span", word.name, "name"));
+      row.appendChild(element("span", `${word.wordlist} ${hex(word.xt, 5)} ${flags.join(" ")}`, "flags"));
+      row.dataset.name = word.name;
+      row.dataset.header = word.header;
+      words.appendChild(row);
+    }
+  };
+
+  const show_memory = start => {
+    // Like DUMP, but the latest definition and HERE are marked
+    const here = vm.here();
+    const latest = vm.latest();
+    const from = Math.max(0, start - start % ROW);
+    const bytes = vm.peek(from, ROW * ROWS);
+
+    memory.textContent = "";
+    for (let row = 0; row < ROWS; row++) {
+      const line = element("div", `A${hex(from + row * ROW, 5)}: `);
+      let ascii = "";
+      for (let i = 0; i < ROW; i++) {
+        const addr = from + row * ROW + i;
+        const byte = bytes[row * ROW + i];
+        const className = addr === here ? "here" : addr >= latest && addr < here ? "latest" : undefined;
+        line.appendChild(element("span", hex(byte, 2) + " ", className));
+        ascii += byte > 31 && byte < 127 ? String.fromCharCode(byte) : ".";
+      }
+      line.appendChild(element("span", " " + ascii, "ascii"));
+      memory.appendChild(line);
+    }
+    address.value = hex(from, 5);
+  };
+
+  const refresh = () => {
+    show_stacks();
+    show_words();
+    // A few rows before the latest definition, unless that hides HERE
+    const here = vm.here();
+    show_memory(Math.max(0, vm.latest() - 4 * ROW, here - (ROWS - 2) * ROW));
+  };
+
+  const reset = () => {
+    output.textContent = "";
+    vm = createForth({
+      write: text => print(text),
+      error: text => print(text, "error"),
+      read: () => "",  // no console input in the page, nor files
+    });
+    refresh();
+  };
+
+  const run = text => {
+    vm.evaluate(text, "playground");
+    refresh();
+  };
+
+  $("run").addEventListener("click", () => run(source.value));
+  $("reset").addEventListener("click", reset);
+  $("goto").addEventListener("click", () => show_memory(parseInt(address.value, 16) || 0));
+  source.addEventListener("keydown", event => {
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      run(source.value);
+    }
+  });
+  words.addEventListener("click", event => {
+    // Decompile a word, and show its header in the memory panel
+    const row = event.target.closest("li");
+    if (row === null) return;
+    try {
+      print(vm.see(row.dataset.name) + "\n", "see");
+    } catch (e) {
+      print(e.message + "\n", "error");  // hidden, or not in the search order
+    }
+    show_memory(Number(row.dataset.header));
+  });
+
+  reset();
+  return { run, reset, refresh, vm: () => vm };
+};
+
+if (typeof module === "object") module.exports = { createPlayground };
+else document.addEventListener("DOMContentLoaded", () => createPlayground(document, createForth));